@@ -0,0 +1,114 @@
+/**
+ * The breakpoints of base/_variables.scss, exported by js-bundle at build
+ * time. Like the media queries of the styles every breakpoint is the max
+ * width of its range, wider viewports are desktop. Crossing a breakpoint
+ * emits breakpoint:change on the event bus.
+ * @module breakpoint
+ * @exports current
+ * @exports matches
+ * @requires event-bus
+ * @requires logger
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * if (matches('tablet')) {
+ *   // tablet or narrower
+ * }
+ *
+ * on('breakpoint:change', ({ current, previous }) => {
+ *   // e.g. from tablet to desktop
+ * });
+ */
+
+'use strict';
+
+// Self-written modules
+import BREAKPOINTS from 'virtual:breakpoints';
+import { emit } from './event-bus.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Switched on with ?debug=breakpoint
+ * @type {!Object}
+ */
+const log = createLogger('breakpoint');
+
+/**
+ * The name of the range above all breakpoints.
+ * @type {string}
+ */
+const DESKTOP = 'desktop';
+
+/**
+ * The media query lists of the breakpoints, narrowest first.
+ * @type {!Array<{name: string, list: !MediaQueryList}>}
+ */
+const queries = Object.entries(BREAKPOINTS)
+  .sort(([, widthA], [, widthB]) => widthA - widthB)
+  .map(([name, width]) => ({
+    name,
+    list: window.matchMedia(`(max-width: ${width}px)`),
+  }));
+
+/**
+ * @function getCurrent
+ * @return {string} The name of the narrowest matching breakpoint
+ */
+function getCurrent() {
+  /** @type {(Object|undefined)} */
+  const query = queries.find(({ list }) => list.matches);
+
+  return query ? query.name : DESKTOP;
+}
+
+/** @type {string} */
+let currentName = getCurrent();
+
+/**
+ * Emits breakpoint:change if the current breakpoint changed. Crossing several
+ * breakpoints at once changes several lists, only the first call emits.
+ * @function handleChange
+ */
+function handleChange() {
+  /** @type {string} */
+  const previous = currentName;
+
+  currentName = getCurrent();
+
+  if (currentName !== previous) {
+    emit('breakpoint:change', { current: currentName, previous });
+  }
+}
+
+queries.forEach(({ list }) => list.addEventListener('change', handleChange));
+
+/**
+ * @function current
+ * @return {string} The name of the current breakpoint, e.g. phone, or desktop
+ */
+export function current() {
+  return currentName;
+}
+
+/**
+ * @function matches
+ * @param {string} name - The name of a breakpoint or desktop
+ * @return {boolean} If the viewport is as narrow as the breakpoint or
+ *     narrower, for desktop if it's wider than all breakpoints
+ */
+export function matches(name) {
+  if (name === DESKTOP) {
+    return currentName === DESKTOP;
+  }
+
+  /** @type {(Object|undefined)} */
+  const query = queries.find((item) => item.name === name);
+
+  if (!query) {
+    log.warn(`"${name}" isn't defined in the Sass breakpoints`);
+    return false;
+  }
+
+  return query.list.matches;
+}
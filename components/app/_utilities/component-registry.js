@@ -0,0 +1,328 @@
+/**
+ * Registry binding page components to their root elements. A component is
+ * instantiated once per element with a matching ```data-component```
+ * attribute, its options come from the definition and the element's
+ * ```data-options``` JSON. The module and its vendor scripts are only
+ * fetched if the page contains such an element, lazy ones once it comes
+ * near the viewport. Elements added or removed later are mounted and
+ * unmounted automatically while the registry observes the document.
+ *
+ * The default export of a component module is a factory receiving the root
+ * element and the options. It returns the instance with the lifecycle hooks
+ * ```mount()``` and ```unmount()```.
+ * @module component-registry
+ * @exports destroyComponents
+ * @exports initComponents
+ * @exports observeComponents
+ * @exports registerComponents
+ * @requires error-reporter
+ * @requires load-script
+ * @requires logger
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * // <div class="slider" data-component="hero-slider" data-options='{"delay": 8000}'>
+ * registerComponents({
+ *   'hero-slider': {
+ *     load: () => import('../swiper-slider/swiper-slider.js'),
+ *     vendor: [SWIPER_URL],
+ *     lazy: true,
+ *   },
+ * });
+ * initComponents();
+ * observeComponents();
+ */
+
+'use strict';
+
+// Self-written modules
+import { reportError } from './error-reporter.js';
+import { loadScript } from './load-script.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Switched on with ?debug=component-registry
+ * @type {!Object}
+ */
+const log = createLogger('component-registry');
+
+/**
+ * The distance to the viewport at which lazy components start loading.
+ * @type {string}
+ */
+const ROOT_MARGIN = '200px 0px';
+
+/**
+ * The selector of all root elements.
+ * @type {string}
+ */
+const SELECTOR = '[data-component]';
+
+/**
+ * The registered component definitions by name.
+ * @type {!Map<string, !Object>}
+ */
+const definitions = new Map();
+
+/**
+ * The instances of every root element by component name. While the module
+ * of a component is loading its instance is null.
+ * @type {!Map<!Element, !Map<string, ?Object>>}
+ */
+const instances = new Map();
+
+/**
+ * The names of the lazy components still waiting for their root element to
+ * come near the viewport.
+ * @type {!Map<!Element, !Set<string>>}
+ */
+const waiting = new Map();
+
+/** @type {?IntersectionObserver} */
+let intersectionObserver = null;
+
+/**
+ * @function getNames
+ * @param {!Element} element - The root element
+ * @return {!Array<string>} The names of its components
+ */
+function getNames(element) {
+  return (element.getAttribute('data-component') || '')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Merges the default options of a definition with the ones of the element.
+ * @function getOptions
+ * @param {!Element} element - The root element
+ * @param {!Object} definition - The component definition
+ * @return {!Object}
+ */
+function getOptions(element, definition) {
+  /** @type {Object} */
+  let options = {};
+
+  if (element.hasAttribute('data-options')) {
+    try {
+      options = JSON.parse(element.getAttribute('data-options'));
+    } catch (error) {
+      log.error('Invalid data-options', element, error);
+    }
+  }
+
+  return { ...definition.options, ...options };
+}
+
+/**
+ * Returns all root elements of a subtree, including the root itself.
+ * @function getElements
+ * @param {!(Document|Element)} root - The root of the subtree
+ * @return {!Array<!Element>}
+ */
+function getElements(root) {
+  /** @type {!Array<!Element>} */
+  const elements = Array.from(root.querySelectorAll(SELECTOR));
+
+  if (root.matches && root.matches(SELECTOR)) {
+    elements.unshift(root);
+  }
+
+  return elements;
+}
+
+/**
+ * Fetches the vendor scripts and the module of a component, creates the
+ * instance for the element and mounts it.
+ * @function mountComponent
+ * @param {!Element} element - The root element
+ * @param {string} name - The component name
+ * @return {!Promise}
+ */
+function mountComponent(element, name) {
+  /** @type {Object|undefined} */
+  const definition = definitions.get(name);
+  /** @type {!Map<string, ?Object>} */
+  const elementInstances = instances.get(element) || new Map();
+
+  if (!definition || elementInstances.has(name)) {
+    return Promise.resolve();
+  }
+
+  elementInstances.set(name, null);
+  instances.set(element, elementInstances);
+
+  return Promise.all((definition.vendor || []).map(loadScript))
+    .then(() => definition.load())
+    .then((module) => {
+      // The element might have been removed while the module was loading.
+      if (instances.get(element) !== elementInstances ||
+          !elementInstances.has(name) || !element.isConnected) {
+        return;
+      }
+
+      /** @type {!Object} */
+      const instance = module.default(element, getOptions(element, definition)) || {};
+
+      elementInstances.set(name, instance);
+
+      if (instance.mount) {
+        instance.mount();
+      }
+    })
+    .catch((error) => {
+      elementInstances.delete(name);
+      log.error(`${name} failed to load or mount`, error);
+      reportError(error, { component: name });
+    });
+}
+
+/**
+ * Unmounts all instances of an element and stops waiting for it.
+ * @function unmountElement
+ * @param {!Element} element - The root element
+ */
+function unmountElement(element) {
+  if (waiting.delete(element) && intersectionObserver) {
+    intersectionObserver.unobserve(element);
+  }
+
+  if (!instances.has(element)) {
+    return;
+  }
+
+  instances.get(element).forEach((instance) => {
+    if (instance && instance.unmount) {
+      try {
+        instance.unmount();
+      } catch (error) {
+        log.error('A component failed to unmount', error);
+        reportError(error);
+      }
+    }
+  });
+  instances.delete(element);
+}
+
+/**
+ * Mounts the waiting components of the elements near the viewport.
+ * @function handleIntersection
+ * @param {!Array<!IntersectionObserverEntry>} entries - The observed changes
+ */
+function handleIntersection(entries) {
+  entries
+    .filter((entry) => entry.isIntersecting && waiting.has(entry.target))
+    .forEach((entry) => {
+      /** @type {!Set<string>} */
+      const names = waiting.get(entry.target);
+
+      waiting.delete(entry.target);
+      intersectionObserver.unobserve(entry.target);
+      names.forEach((name) => mountComponent(entry.target, name));
+    });
+}
+
+/**
+ * Queues a lazy component until its element comes near the viewport.
+ * @function waitForElement
+ * @param {!Element} element - The root element
+ * @param {string} name - The component name
+ */
+function waitForElement(element, name) {
+  if (!intersectionObserver) {
+    intersectionObserver = new IntersectionObserver(handleIntersection, {
+      rootMargin: ROOT_MARGIN,
+    });
+  }
+
+  if (!waiting.has(element)) {
+    waiting.set(element, new Set());
+    intersectionObserver.observe(element);
+  }
+
+  waiting.get(element).add(name);
+}
+
+/**
+ * Handles the added and removed nodes of the observed document.
+ * @function handleMutations
+ * @param {!Array<!MutationRecord>} mutations - The observed changes
+ */
+function handleMutations(mutations) {
+  mutations.forEach((mutation) => {
+    mutation.removedNodes.forEach((node) => {
+      // Moved nodes are connected again and keep their instances.
+      if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+        destroyComponents(node);
+      }
+    });
+    mutation.addedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+        initComponents(node);
+      }
+    });
+  });
+}
+
+/**
+ * @function registerComponents
+ * @param {!Object.<string, {load: !Function, vendor: (Array<string>|undefined), lazy: (boolean|undefined), options: (Object|undefined)}>} components
+ *     The definitions by component name: a function importing the module,
+ *     the urls of vendor scripts the module needs, if the loading waits for
+ *     the root element to come near the viewport and the default options
+ */
+export function registerComponents(components) {
+  Object.keys(components).forEach((name) => {
+    definitions.set(name, components[name]);
+  });
+}
+
+/**
+ * Mounts the registered components of all root elements in a subtree.
+ * @function initComponents
+ * @param {!(Document|Element)} [root=document] - The root of the subtree
+ */
+export function initComponents(root = document) {
+  getElements(root).forEach((element) => {
+    getNames(element).forEach((name) => {
+      /** @type {Object|undefined} */
+      const definition = definitions.get(name);
+
+      if (!definition) {
+        return;
+      }
+
+      if (definition.lazy && 'IntersectionObserver' in window) {
+        waitForElement(element, name);
+      } else {
+        mountComponent(element, name);
+      }
+    });
+  });
+}
+
+/**
+ * Unmounts the components of all root elements in a subtree.
+ * @function destroyComponents
+ * @param {!(Document|Element)} [root=document] - The root of the subtree
+ */
+export function destroyComponents(root = document) {
+  getElements(root).forEach(unmountElement);
+}
+
+/**
+ * Mounts and unmounts the components of elements added to or removed from
+ * the document later on, e.g. content cloned from templates.
+ * @function observeComponents
+ * @param {!Element} [root=document.body] - The observed element
+ * @return {!MutationObserver}
+ */
+export function observeComponents(root = document.body) {
+  /** @type {!MutationObserver} */
+  const mutationObserver = new MutationObserver(handleMutations);
+
+  mutationObserver.observe(root, { childList: true, subtree: true });
+
+  return mutationObserver;
+}
@@ -3,13 +3,18 @@
  * @module debounce
  * @exports debounce
  * @public
- * @version 1.0.0
+ * @version 2.0.0
  * @author frontend@webit.de
  * @example
- * eventTarget.addEventListener('keydown', CORE.debounce((event) => {
+ * const search = debounce((event) => {
  *   // do the Ajax request
- * }, 250));
+ * }, 250, { maxWait: 1000 });
+ *
+ * eventTarget.addEventListener('keydown', search);
+ * // ...
+ * search.cancel(); // e.g. when the component unmounts
  * @see https://remysharp.com/2010/07/21/throttling-function-calls
+ * @see https://css-tricks.com/debouncing-throttling-explained-examples/
  */
 
 'use strict';
@@ -18,17 +23,181 @@
  * @function debounce
  * @param {!Function} func - The function that should be executed with a debounce
  * @param {number=} delay - Time in milliseconds until the function will be fired
- * @param {string=} scope - The context of the fired function
+ * @param {{leading: (boolean|undefined), trailing: (boolean|undefined), maxWait: (number|undefined), scope: (Object|undefined)}=} options
+ *     If the function is fired at the start of a series of calls, false by
+ *     default, and after it, true by default. The maximum time in
+ *     milliseconds it may be delayed, none by default, and the context it's
+ *     fired with, the one of the debounced function by default.
+ * @return {!Function} The debounced function with the methods cancel(),
+ *     dropping a pending call, and flush(), firing it right away
  */
-export function debounce(func, delay = 250, scope = this) {
-  /** @type {Object} */
+export function debounce(func, delay = 250, options = {}) {
+  /** @type {boolean} */
+  const leading = Boolean(options.leading);
+  /** @type {boolean} */
+  const trailing = options.trailing !== false;
+  /** @type {?number} */
+  const maxWait = typeof options.maxWait === 'number' ?
+    Math.max(options.maxWait, delay) : null;
+  /** @type {?number} */
   let timer = null;
+  /** @type {?Array} */
+  let lastArgs = null;
+  /** @type {*} */
+  let lastContext = null;
+  /** @type {?number} */
+  let lastCallTime = null;
+  /** @type {number} */
+  let lastInvokeTime = 0;
+  /** @type {*} */
+  let result;
 
-  return function () {
-    /** @type {Object} */
-    const ARGS = arguments;
+  /**
+   * @param {number} time - The current time
+   * @return {*} The result of the function
+   */
+  function invoke(time) {
+    /** @type {!Array} */
+    const args = lastArgs;
+    /** @type {*} */
+    const context = 'scope' in options ? options.scope : lastContext;
 
+    lastArgs = null;
+    lastContext = null;
+    lastInvokeTime = time;
+    result = func.apply(context, args);
+
+    return result;
+  }
+
+  /**
+   * @param {number} time - The current time
+   * @return {boolean} If a call at this time fires the function
+   */
+  function shouldInvoke(time) {
+    if (lastCallTime === null) {
+      return true;
+    }
+
+    /** @type {number} */
+    const sinceLastCall = time - lastCallTime;
+
+    return sinceLastCall >= delay || sinceLastCall < 0 ||
+      (maxWait !== null && time - lastInvokeTime >= maxWait);
+  }
+
+  /**
+   * @param {number} time - The current time
+   * @return {number} Time in milliseconds until the function is due
+   */
+  function remainingWait(time) {
+    /** @type {number} */
+    const wait = delay - (time - lastCallTime);
+
+    return maxWait === null ? wait : Math.min(wait, maxWait - (time - lastInvokeTime));
+  }
+
+  function timerExpired() {
+    /** @type {number} */
+    const time = Date.now();
+
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+    } else {
+      timer = setTimeout(timerExpired, remainingWait(time));
+    }
+  }
+
+  /**
+   * @param {number} time - The current time
+   * @return {*} The result of the function
+   */
+  function leadingEdge(time) {
+    lastInvokeTime = time;
+    timer = setTimeout(timerExpired, delay);
+
+    return leading ? invoke(time) : result;
+  }
+
+  /**
+   * @param {number} time - The current time
+   * @return {*} The result of the function
+   */
+  function trailingEdge(time) {
+    timer = null;
+
+    // Only fire if there were calls since the leading edge
+    if (trailing && lastArgs) {
+      return invoke(time);
+    }
+
+    lastArgs = null;
+    lastContext = null;
+
+    return result;
+  }
+
+  /**
+   * @this {*}
+   * @param {...*} args - The arguments passed on to the function
+   * @return {*} The result of the last call of the function
+   */
+  function debounced(...args) {
+    /** @type {number} */
+    const time = Date.now();
+    /** @type {boolean} */
+    const isInvoking = shouldInvoke(time);
+
+    lastArgs = args;
+    lastContext = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timer === null) {
+        return leadingEdge(time);
+      }
+
+      if (maxWait !== null) {
+        // The function is overdue within a steady series of calls
+        clearTimeout(timer);
+        timer = setTimeout(timerExpired, delay);
+
+        return invoke(time);
+      }
+    }
+
+    if (timer === null) {
+      timer = setTimeout(timerExpired, delay);
+    }
+
+    return result;
+  }
+
+  /**
+   * Drops a pending call.
+   */
+  debounced.cancel = () => {
     clearTimeout(timer);
-    timer = setTimeout(() => func.apply(scope, ARGS), delay);
+    timer = null;
+    lastArgs = null;
+    lastContext = null;
+    lastCallTime = null;
+    lastInvokeTime = 0;
   };
+
+  /**
+   * Fires a pending call right away.
+   * @return {*} The result of the function
+   */
+  debounced.flush = () => {
+    if (timer === null) {
+      return result;
+    }
+
+    clearTimeout(timer);
+
+    return trailingEdge(Date.now());
+  };
+
+  return debounced;
 }
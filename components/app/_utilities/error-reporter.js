@@ -0,0 +1,239 @@
+/**
+ * Collects uncaught errors and unhandled promise rejections and sends them to
+ * the url of the build mode, set in errorReporting of the kickstart config.
+ * Reports are batched and sent with navigator.sendBeacon(), so they survive
+ * leaving the page. An error repeating on the page is reported once with a
+ * count, errors of components name the component. Without an url nothing is
+ * collected.
+ * @module error-reporter
+ * @exports initErrorReporter
+ * @exports reportError
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * initErrorReporter(); // once, in main.js
+ *
+ * // Errors which are caught but should be reported anyway:
+ * reportError(error, { component: 'slider' });
+ */
+
+'use strict';
+
+// Self-written modules
+import { errorReportUrl } from 'virtual:build';
+
+/**
+ * The time in milliseconds the reports are collected before they're sent.
+ * @type {number}
+ */
+const BATCH_DELAY = 5000;
+
+/**
+ * The number of queued reports which are sent right away.
+ * @type {number}
+ */
+const BATCH_SIZE = 10;
+
+/**
+ * The maximum of different errors reported per page view, a broken page
+ * mustn't flood the endpoint.
+ * @type {number}
+ */
+const MAX_REPORTS = 20;
+
+/**
+ * The reports waiting to be sent by their key.
+ * @type {!Map<string, !Object>}
+ */
+const queue = new Map();
+
+/**
+ * The keys of all reported errors, sent or queued.
+ * @type {!Set<string>}
+ */
+const reported = new Set();
+
+/** @type {boolean} */
+let isInitialized = false;
+
+/** @type {?number} */
+let timeout = null;
+
+/**
+ * Takes the component from the stack if the error was thrown in the chunk
+ * of a component module, e.g. chunks/swiper-slider.js or in prod mode
+ * chunks/swiper-slider.1a2b3c4d.js. The shared utilities chunk is skipped,
+ * the first component calling into it is the one to blame.
+ * @function getComponent
+ * @param {string} stack - The stack trace of the error
+ * @return {string} The module name or an empty string
+ */
+function getComponent(stack) {
+  for (const [, name] of stack.matchAll(/\/chunks\/([\w-]+?)(?:\.[\w-]+)?\.js\b/g)) {
+    if (name !== 'utilities') {
+      return name;
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Sends the queued reports. sendBeacon() can refuse them, e.g. if they're too
+ * large, then fetch() keeps them alive instead.
+ * @function flush
+ */
+function flush() {
+  window.clearTimeout(timeout);
+  timeout = null;
+
+  if (!queue.size) {
+    return;
+  }
+
+  /** @type {string} */
+  const body = JSON.stringify({ reports: Array.from(queue.values()) });
+
+  queue.clear();
+
+  // A string is sent as text/plain, which doesn't need a CORS preflight.
+  if (navigator.sendBeacon && navigator.sendBeacon(errorReportUrl, body)) {
+    return;
+  }
+
+  if (window.fetch) {
+    window.fetch(errorReportUrl, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      mode: 'no-cors',
+    }).catch(() => {
+      // Reporting mustn't cause further errors.
+    });
+  }
+}
+
+/**
+ * Queues a report, or counts the repetition of a queued one. Repetitions of
+ * an error which was already sent are dropped.
+ * @function queueReport
+ * @param {{message: string, stack: string, source: string, component: string}} error
+ *     The description of the error
+ */
+function queueReport(error) {
+  /** @type {string} */
+  const key = [error.message, error.source, error.component].join('|');
+
+  if (queue.has(key)) {
+    queue.get(key).count++;
+    return;
+  }
+
+  if (reported.has(key) || reported.size >= MAX_REPORTS) {
+    return;
+  }
+
+  reported.add(key);
+  queue.set(key, {
+    ...error,
+    page: window.location.href,
+    userAgent: navigator.userAgent,
+    time: new Date().toISOString(),
+    count: 1,
+  });
+
+  if (queue.size >= BATCH_SIZE) {
+    flush();
+  } else if (timeout === null) {
+    timeout = window.setTimeout(flush, BATCH_DELAY);
+  }
+}
+
+/**
+ * @function describeError
+ * @param {*} error - The thrown value, usually an Error
+ * @param {string=} source - The script and position it was thrown in
+ * @return {{message: string, stack: string, source: string}}
+ */
+function describeError(error, source = '') {
+  if (error instanceof Error) {
+    return {
+      message: `${error.name}: ${error.message}`,
+      stack: error.stack || '',
+      source,
+    };
+  }
+
+  return { message: String(error), stack: '', source };
+}
+
+/**
+ * @function handleError
+ * @param {!ErrorEvent} event - The error event of the window
+ */
+function handleError(event) {
+  /** @type {string} */
+  const source = event.filename ?
+    `${event.filename}:${event.lineno}:${event.colno}` : '';
+  /** @type {!Object} */
+  const error = describeError(event.error || event.message, source);
+
+  queueReport({ ...error, component: getComponent(error.stack || source) });
+}
+
+/**
+ * @function handleRejection
+ * @param {!PromiseRejectionEvent} event - The unhandledrejection event
+ */
+function handleRejection(event) {
+  /** @type {!Object} */
+  const error = describeError(event.reason);
+
+  queueReport({ ...error, component: getComponent(error.stack) });
+}
+
+/**
+ * Reports an error which was caught, e.g. by the component registry.
+ * @function reportError
+ * @param {*} error - The thrown value, usually an Error
+ * @param {{component: (string|undefined)}=} context - The name of the
+ *     component the error belongs to, taken from the stack by default
+ */
+export function reportError(error, context = {}) {
+  if (!isInitialized) {
+    return;
+  }
+
+  /** @type {!Object} */
+  const description = describeError(error);
+
+  queueReport({
+    ...description,
+    component: context.component || getComponent(description.stack),
+  });
+}
+
+/**
+ * Starts collecting the errors of the page, if the build mode has an url.
+ * @function initErrorReporter
+ */
+export function initErrorReporter() {
+  if (isInitialized || !errorReportUrl) {
+    return;
+  }
+
+  isInitialized = true;
+
+  window.addEventListener('error', handleError);
+  window.addEventListener('unhandledrejection', handleRejection);
+
+  // The last chance to send the queue, pagehide for browsers without
+  // visibilitychange on unload.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flush();
+    }
+  });
+  window.addEventListener('pagehide', flush);
+}
@@ -0,0 +1,136 @@
+/**
+ * Event bus the components announce their lifecycle on, e.g. menu:open or
+ * slider:change. Event types consist of a namespace and a name separated by
+ * a colon. Listeners can subscribe to a single type, to all events of a
+ * namespace (menu:*) or to all events (*). Every event is also triggered on
+ * the document, so scripts outside the bundle like analytics can listen to
+ * it with document.addEventListener('menu:open', ...).
+ * @module event-bus
+ * @exports emit
+ * @exports off
+ * @exports on
+ * @exports once
+ * @requires logger
+ * @requires trigger-event
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * const unsubscribe = on('slider:*', (detail, type) => {
+ *   console.info(type, detail.index);
+ * });
+ *
+ * emit('slider:change', { element, index: 2 });
+ * unsubscribe();
+ */
+
+'use strict';
+
+// Self-written modules
+import { createLogger } from './logger.js';
+import { triggerEvent } from './trigger-event.js';
+
+/**
+ * Switched on with ?debug=event-bus
+ * @type {!Object}
+ */
+const log = createLogger('event-bus');
+
+/**
+ * The listeners by event type, namespace wildcard or *.
+ * @type {!Map<string, !Set<!Function>>}
+ */
+const listeners = new Map();
+
+/**
+ * @function assertType
+ * @param {string} type - An event type
+ * @param {boolean=} allowWildcard - If namespace:* and * are allowed
+ */
+function assertType(type, allowWildcard = false) {
+  /** @type {!RegExp} */
+  const pattern = allowWildcard ? /^(\*|[\w-]+:([\w-]+|\*))$/ : /^[\w-]+:[\w-]+$/;
+
+  if (!pattern.test(type)) {
+    throw new TypeError(`Event bus: "${type}" isn't of the form namespace:name`);
+  }
+}
+
+/**
+ * @function on
+ * @param {string} type - The event type, namespace:* or *
+ * @param {function(*, string)} handler - Receives the detail of the event and
+ *     its type
+ * @return {!Function} Removes the handler again
+ */
+export function on(type, handler) {
+  assertType(type, true);
+
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+  }
+  listeners.get(type).add(handler);
+
+  return () => off(type, handler);
+}
+
+/**
+ * @function off
+ * @param {string} type - The event type, namespace:* or * used for on()
+ * @param {!Function} handler - The handler passed to on()
+ */
+export function off(type, handler) {
+  /** @type {(Set<!Function>|undefined)} */
+  const handlers = listeners.get(type);
+
+  if (handlers) {
+    handlers.delete(handler);
+
+    if (!handlers.size) {
+      listeners.delete(type);
+    }
+  }
+}
+
+/**
+ * @function once
+ * @param {string} type - The event type, namespace:* or *
+ * @param {function(*, string)} handler - Called for the next event only
+ * @return {!Function} Removes the handler again
+ */
+export function once(type, handler) {
+  /** @type {!Function} */
+  const unsubscribe = on(type, function onceHandler(detail, eventType) {
+    unsubscribe();
+    handler(detail, eventType);
+  });
+
+  return unsubscribe;
+}
+
+/**
+ * Calls the handlers of the type, its namespace and * in this order. A
+ * failing handler is reported without stopping the others.
+ * @function emit
+ * @param {string} type - The event type, e.g. menu:open
+ * @param {*=} detail - The payload passed to the handlers
+ */
+export function emit(type, detail = {}) {
+  assertType(type);
+
+  /** @type {!Array<string>} */
+  const keys = [type, `${type.split(':')[0]}:*`, '*'];
+
+  keys.forEach((key) => {
+    // A copy, handlers may unsubscribe while being called
+    Array.from(listeners.get(key) || []).forEach((handler) => {
+      try {
+        handler(detail, type);
+      } catch (error) {
+        log.error(`a handler of ${type} failed`, error);
+      }
+    });
+  });
+
+  triggerEvent(document, type, { detail });
+}
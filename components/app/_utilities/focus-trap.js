@@ -0,0 +1,263 @@
+/**
+ * Keep the keyboard focus inside a container, e.g. a menu or a dialog.
+ * The tabbable elements are looked up on every key press, so elements shown,
+ * hidden or changing their tabindex meanwhile are respected. Traps can be
+ * nested, only the last activated one is in charge until it's deactivated.
+ * While a trap is active the page can be kept from scrolling and everything
+ * outside the container can be made inert.
+ * @module focus-trap
+ * @exports createFocusTrap
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * const trap = createFocusTrap(dialog, { initialFocus: closeButton, inert: true });
+ * trap.activate();
+ * // ...
+ * trap.deactivate(); // Focus returns to the element focused before
+ * @see https://www.w3.org/WAI/ARIA/apg/patterns/dialog-modal/
+ */
+
+'use strict';
+
+/**
+ * The elements which can get the focus, unless they are disabled, hidden or
+ * taken out of the tab order.
+ * @type {string}
+ */
+const TABBABLE = [
+  'a[href]',
+  'area[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'iframe',
+  'audio[controls]',
+  'video[controls]',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]',
+].join(',');
+
+/**
+ * The active traps, the last one is in charge.
+ * @type {!Array<!Object>}
+ */
+const traps = [];
+
+/**
+ * The number of active traps locking the scrolling and the inline styles
+ * to restore once none is left.
+ * @type {{count: number, overflow: string, paddingRight: string}}
+ */
+const scrollLock = { count: 0, overflow: '', paddingRight: '' };
+
+/**
+ * @function getTabbables
+ * @param {!Element} container - The element to search in
+ * @return {!Array<!HTMLElement>} The visible tabbable elements in DOM order
+ */
+function getTabbables(container) {
+  return Array.from(container.querySelectorAll(TABBABLE)).filter((element) => {
+    return element.tabIndex >= 0 &&
+      !element.disabled &&
+      !element.closest('[inert], [hidden]') &&
+      element.getClientRects().length > 0 &&
+      window.getComputedStyle(element).visibility !== 'hidden';
+  });
+}
+
+/**
+ * Stops the page from scrolling. The width of the vanished scrollbar is
+ * added as padding, so the content doesn't shift.
+ * @function lockScroll
+ */
+function lockScroll() {
+  if (scrollLock.count++ > 0) {
+    return;
+  }
+
+  /** @type {number} */
+  const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+  /** @type {number} */
+  const paddingRight = parseFloat(window.getComputedStyle(document.body).paddingRight) || 0;
+
+  scrollLock.overflow = document.body.style.overflow;
+  scrollLock.paddingRight = document.body.style.paddingRight;
+  document.body.style.overflow = 'hidden';
+
+  if (scrollbarWidth > 0) {
+    document.body.style.paddingRight = `${paddingRight + scrollbarWidth}px`;
+  }
+}
+
+/**
+ * @function unlockScroll
+ */
+function unlockScroll() {
+  if (--scrollLock.count > 0) {
+    return;
+  }
+
+  document.body.style.overflow = scrollLock.overflow;
+  document.body.style.paddingRight = scrollLock.paddingRight;
+}
+
+/**
+ * Moves the focus to the first or last tabbable element when it would leave
+ * the container of the trap in charge.
+ * @function handleKeydown
+ * @param {!KeyboardEvent} event - The keydown event
+ */
+function handleKeydown(event) {
+  if (event.key !== 'Tab' || !traps.length) {
+    return;
+  }
+
+  /** @type {!Element} */
+  const container = traps[traps.length - 1].container;
+  /** @type {!Array<!HTMLElement>} */
+  const tabbables = getTabbables(container);
+  /** @type {Element} */
+  const active = document.activeElement;
+
+  if (!tabbables.length) {
+    event.preventDefault();
+    container.focus();
+    return;
+  }
+
+  /** @type {!HTMLElement} */
+  const first = tabbables[0];
+  /** @type {!HTMLElement} */
+  const last = tabbables[tabbables.length - 1];
+
+  if (!container.contains(active)) {
+    event.preventDefault();
+    (event.shiftKey ? last : first).focus();
+  } else if (event.shiftKey && (active === first || active === container)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * @function createFocusTrap
+ * @param {!HTMLElement} container - The element keeping the focus
+ * @param {{initialFocus: (HTMLElement|function(): HTMLElement|undefined), returnFocus: (HTMLElement|function(): HTMLElement|undefined), lockScroll: (boolean|undefined), inert: (boolean|undefined)}=} options
+ *     The element to focus on activation, the container or its first
+ *     tabbable element by default. The element to focus on deactivation,
+ *     the one focused before by default. If the page stops scrolling, true
+ *     by default, and if everything outside the container gets inert.
+ * @return {{activate: !Function, deactivate: !Function, isActive: function(): boolean}}
+ */
+export function createFocusTrap(container, options = {}) {
+  /** @type {!Object} */
+  const trap = { container };
+  /** @type {boolean} */
+  const shouldLockScroll = options.lockScroll !== false;
+  /** @type {Element} */
+  let previousFocus = null;
+  /** @type {!Array<!Element>} */
+  let inertElements = [];
+
+  /**
+   * @param {(HTMLElement|Function|undefined)} option - An element option
+   * @return {?HTMLElement}
+   */
+  const resolve = (option) => (typeof option === 'function' ? option() : option) || null;
+
+  /**
+   * Makes the siblings of the container and of all its ancestors inert.
+   */
+  const makeOthersInert = () => {
+    /** @type {!Element} */
+    let node = container;
+
+    while (node.parentElement && node !== document.body) {
+      Array.from(node.parentElement.children)
+        .filter((sibling) => sibling !== node && !sibling.inert && sibling.tagName !== 'SCRIPT')
+        .forEach((sibling) => {
+          sibling.inert = true;
+          inertElements.push(sibling);
+        });
+      node = node.parentElement;
+    }
+  };
+
+  /**
+   * @function isActive
+   * @return {boolean}
+   */
+  const isActive = () => traps.includes(trap);
+
+  /**
+   * Puts the trap in charge and moves the focus into the container.
+   * @function activate
+   */
+  const activate = () => {
+    if (isActive()) {
+      return;
+    }
+
+    previousFocus = document.activeElement;
+
+    if (!traps.length) {
+      document.addEventListener('keydown', handleKeydown);
+    }
+    traps.push(trap);
+
+    if (options.inert) {
+      makeOthersInert();
+    }
+
+    if (shouldLockScroll) {
+      lockScroll();
+    }
+
+    /** @type {?HTMLElement} */
+    const initialFocus = resolve(options.initialFocus) ||
+      getTabbables(container)[0] || container;
+
+    initialFocus.focus();
+  };
+
+  /**
+   * Hands the focus back to the element focused before or the returnFocus
+   * option and puts the previous trap back in charge.
+   * @function deactivate
+   */
+  const deactivate = () => {
+    if (!isActive()) {
+      return;
+    }
+
+    traps.splice(traps.indexOf(trap), 1);
+
+    if (!traps.length) {
+      document.removeEventListener('keydown', handleKeydown);
+    }
+
+    inertElements.forEach((element) => {
+      element.inert = false;
+    });
+    inertElements = [];
+
+    if (shouldLockScroll) {
+      unlockScroll();
+    }
+
+    /** @type {?HTMLElement} */
+    const returnFocus = resolve(options.returnFocus) || previousFocus;
+
+    if (returnFocus && returnFocus.isConnected && returnFocus.focus) {
+      returnFocus.focus();
+    }
+    previousFocus = null;
+  };
+
+  return { activate, deactivate, isActive };
+}
@@ -0,0 +1,45 @@
+/**
+ * Load a classic script (e.g. a vendor library) once.
+ * @module load-script
+ * @exports loadScript
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ */
+
+'use strict';
+
+/**
+ * Pending and finished loads, so every script is requested only once.
+ * @type {!Map<string, !Promise>}
+ */
+const scripts = new Map();
+
+/**
+ * @function loadScript
+ * @param {string} src - The url of the script
+ * @return {!Promise} Resolves when the script is executed
+ */
+export function loadScript(src) {
+  /** @type {string} */
+  const url = new URL(src, document.baseURI).href;
+
+  if (!scripts.has(url)) {
+    scripts.set(url, new Promise((resolve, reject) => {
+      /** @type {!HTMLScriptElement} */
+      const script = document.createElement('script');
+
+      script.src = url;
+      script.async = true;
+      script.addEventListener('load', resolve);
+      script.addEventListener('error', () => {
+        scripts.delete(url); // Allows another attempt.
+        reject(new Error(`Failed to load script ${url}`));
+      });
+
+      document.head.appendChild(script);
+    }));
+  }
+
+  return scripts.get(url);
+}
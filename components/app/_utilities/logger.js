@@ -0,0 +1,99 @@
+/**
+ * Console logger with levels and a namespace per component. Dev builds log
+ * every level, prod builds only warnings and errors, and js-bundle removes
+ * the debug calls from them entirely. A namespace logs every level once it's
+ * switched on with the query parameter ?debug=slider or the localStorage
+ * entry debug, both take a comma separated list and * for all namespaces.
+ * @module logger
+ * @exports createLogger
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * const log = createLogger('slider');
+ *
+ * log.debug('autoplay paused'); // [slider] autoplay paused
+ * log.warn('no slides found');
+ *
+ * // In the browser console, e.g. on the live website:
+ * localStorage.debug = 'slider,image-zoom';
+ */
+
+'use strict';
+
+// Self-written modules
+import { mode } from 'virtual:build';
+
+/**
+ * The levels by severity.
+ * @type {!Array<string>}
+ */
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * The lowest level logged for namespaces which aren't switched on.
+ * @type {string}
+ */
+const DEFAULT_LEVEL = mode === 'dev' ? 'debug' : 'warn';
+
+/**
+ * The namespaces switched on by the URL or the localStorage.
+ * @type {?Array<string>}
+ */
+let debugNamespaces = null;
+
+/**
+ * @function getDebugNamespaces
+ * @return {!Array<string>}
+ */
+function getDebugNamespaces() {
+  if (debugNamespaces === null) {
+    /** @type {string} */
+    let setting = new URLSearchParams(window.location.search).get('debug') || '';
+
+    try {
+      setting += `,${window.localStorage.getItem('debug') || ''}`;
+    } catch (error) {
+      // The localStorage isn't available, e.g. with blocked cookies.
+    }
+
+    debugNamespaces = setting.split(',').map((name) => name.trim()).filter(Boolean);
+  }
+
+  return debugNamespaces;
+}
+
+/**
+ * @function isEnabled
+ * @param {string} namespace - The namespace of the logger
+ * @param {string} level - One of the LEVELS
+ * @return {boolean}
+ */
+function isEnabled(namespace, level) {
+  /** @type {!Array<string>} */
+  const namespaces = getDebugNamespaces();
+
+  return namespaces.includes('*') || namespaces.includes(namespace) ||
+    LEVELS.indexOf(level) >= LEVELS.indexOf(DEFAULT_LEVEL);
+}
+
+/**
+ * @function createLogger
+ * @param {string} namespace - The name of the component, e.g. slider
+ * @return {{debug: !Function, info: !Function, warn: !Function, error: !Function}}
+ *     The logging functions, taking the same arguments as console.log()
+ */
+export function createLogger(namespace) {
+  /** @type {!Object.<string, !Function>} */
+  const logger = {};
+
+  LEVELS.forEach((level) => {
+    logger[level] = (...args) => {
+      if (isEnabled(namespace, level)) {
+        console[level](`[${namespace}]`, ...args);
+      }
+    };
+  });
+
+  return logger;
+}
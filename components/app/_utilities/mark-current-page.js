@@ -0,0 +1,51 @@
+/**
+ * Mark the links to the current page with aria-current="page". Links to a
+ * section of a page (with a hash) are left alone, so only the page itself
+ * is marked and not its sections in a submenu as well.
+ * @module mark-current-page
+ * @exports markCurrentPage
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @see https://www.w3.org/TR/wai-aria-1.2/#aria-current
+ */
+
+'use strict';
+
+/**
+ * @function normalizePath
+ * @param {string} pathname - The path of an url
+ * @return {string} The path with the index page made explicit
+ */
+function normalizePath(pathname) {
+  return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+}
+
+/**
+ * @function markCurrentPage
+ * @param {!Element} container - The element containing the links
+ * @param {string=} url - The url of the current page
+ * @return {!Array<!HTMLAnchorElement>} The links to the current page
+ */
+export function markCurrentPage(container, url = window.location.href) {
+  /** @type {string} */
+  const currentPath = normalizePath(new URL(url).pathname);
+  /** @type {!Array<!HTMLAnchorElement>} */
+  const currentLinks = [];
+
+  container.querySelectorAll('a[href]').forEach((link) => {
+    /** @type {boolean} */
+    const isCurrent = !link.hash &&
+      link.origin === window.location.origin &&
+      normalizePath(link.pathname) === currentPath;
+
+    if (isCurrent) {
+      link.setAttribute('aria-current', 'page');
+      currentLinks.push(link);
+    } else if (link.getAttribute('aria-current') === 'page') {
+      link.removeAttribute('aria-current');
+    }
+  });
+
+  return currentLinks;
+}
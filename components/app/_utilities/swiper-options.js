@@ -0,0 +1,263 @@
+/**
+ * Read the Swiper options of a slider from its root element. They can be
+ * given as JSON in ```data-swiper``` or one by one in ```data-swiper-*```
+ * attributes, the latter win. Only options of the allow-list with valid
+ * values are taken, the others are dropped with a warning. The result is
+ * merged with the defaults of the slider.
+ * @module swiper-options
+ * @exports getSwiperOptions
+ * @requires logger
+ * @public
+ * @version 1.0.0
+ * @author frontend@webit.de
+ * @example
+ * // <div class="slider" data-swiper='{"loop": true}' data-swiper-autoplay-delay="8000">
+ * new Swiper(element, getSwiperOptions(element, { slidesPerView: 1 }));
+ * @see https://swiperjs.com/swiper-api#parameters
+ */
+
+'use strict';
+
+// Self-written modules
+import { createLogger } from './logger.js';
+
+/**
+ * Switched on with ?debug=slider, like the sliders using the options
+ * @type {!Object}
+ */
+const log = createLogger('slider');
+
+/**
+ * @function isBoolean
+ * @param {*} value
+ * @return {boolean}
+ */
+const isBoolean = (value) => typeof value === 'boolean';
+
+/**
+ * @function isNumber
+ * @param {*} value
+ * @return {boolean}
+ */
+const isNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+/**
+ * @function isString
+ * @param {*} value
+ * @return {boolean}
+ */
+const isString = (value) => typeof value === 'string' && value !== '';
+
+/**
+ * @function isOneOf
+ * @param {!Array<string>} values - The allowed values
+ * @return {function(*): boolean}
+ */
+const isOneOf = (values) => (value) => values.includes(value);
+
+/**
+ * The options which can be set in the markup with a validator each. Nested
+ * options like ```autoplay``` have an object of validators and accept a
+ * boolean to switch them on or off.
+ * @type {!Object.<string, (!Function|!Object.<string, !Function>)>}
+ */
+const ALLOWED_OPTIONS = {
+  autoHeight: isBoolean,
+  autoplay: {
+    delay: isNumber,
+    disableOnInteraction: isBoolean,
+    pauseOnMouseEnter: isBoolean,
+    reverseDirection: isBoolean,
+  },
+  centeredSlides: isBoolean,
+  direction: isOneOf(['horizontal', 'vertical']),
+  effect: isOneOf(['slide', 'fade', 'cube', 'coverflow', 'flip', 'creative', 'cards']),
+  grabCursor: isBoolean,
+  initialSlide: isNumber,
+  loop: isBoolean,
+  navigation: {
+    nextEl: isString,
+    prevEl: isString,
+  },
+  pagination: {
+    clickable: isBoolean,
+    el: isString,
+    type: isOneOf(['bullets', 'fraction', 'progressbar']),
+  },
+  slidesPerGroup: isNumber,
+  slidesPerView: (value) => value === 'auto' || isNumber(value),
+  spaceBetween: isNumber,
+  speed: isNumber,
+};
+
+/**
+ * Options whose selectors are looked up inside the root element, so every
+ * slider finds its own pagination and buttons.
+ * @type {!Object.<string, !Array<string>>}
+ */
+const ELEMENT_OPTIONS = {
+  navigation: ['nextEl', 'prevEl'],
+  pagination: ['el'],
+};
+
+/**
+ * Converts the string of an attribute to a boolean or number if possible.
+ * @function parseValue
+ * @param {string} value - The attribute value
+ * @return {(boolean|number|string)}
+ */
+function parseValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  if (value.trim() !== '' && !isNaN(value)) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Takes the allowed options with valid values.
+ * @function validateOptions
+ * @param {!Object} options - The options from the markup
+ * @param {!Object} allowed - The validators
+ * @param {string=} prefix - The name of the parent option
+ * @return {!Object}
+ */
+function validateOptions(options, allowed, prefix = '') {
+  /** @type {!Object} */
+  const validOptions = {};
+
+  Object.keys(options).forEach((key) => {
+    /** @type {(Function|Object|undefined)} */
+    const validator = allowed[key];
+    /** @type {*} */
+    const value = options[key];
+
+    if (typeof validator === 'function' && validator(value)) {
+      validOptions[key] = value;
+    } else if (validator && typeof validator === 'object' && isBoolean(value)) {
+      validOptions[key] = value;
+    } else if (validator && typeof validator === 'object' &&
+               value && typeof value === 'object' && !Array.isArray(value)) {
+      validOptions[key] = validateOptions(value, validator, `${prefix}${key}.`);
+    } else {
+      log.warn(`Swiper option "${prefix}${key}" is not allowed or has an invalid value:`, value);
+    }
+  });
+
+  return validOptions;
+}
+
+/**
+ * Collects the ```data-swiper-*``` attributes. An attribute like
+ * ```data-swiper-autoplay-delay``` sets the nested option if there is no
+ * option ```autoplayDelay```.
+ * @function getAttributeOptions
+ * @param {!Element} element - The root element
+ * @return {!Object}
+ */
+function getAttributeOptions(element) {
+  /** @type {!Object} */
+  const options = {};
+
+  Object.keys(element.dataset)
+    .filter((key) => /^swiper[A-Z]/.test(key))
+    .forEach((key) => {
+      /** @type {string} */
+      const name = key.charAt(6).toLowerCase() + key.slice(7);
+      /** @type {(boolean|number|string)} */
+      const value = parseValue(element.dataset[key]);
+      /** @type {(string|undefined)} */
+      const parent = Object.keys(ALLOWED_OPTIONS).find((option) => {
+        return typeof ALLOWED_OPTIONS[option] === 'object' &&
+          name.startsWith(option) && /^[A-Z]/.test(name.slice(option.length));
+      });
+
+      if (ALLOWED_OPTIONS[name] || !parent) {
+        options[name] = value;
+        return;
+      }
+
+      /** @type {string} */
+      const child = name.charAt(parent.length).toLowerCase() + name.slice(parent.length + 1);
+
+      options[parent] = typeof options[parent] === 'object' ? options[parent] : {};
+      options[parent][child] = value;
+    });
+
+  return options;
+}
+
+/**
+ * Merges the options, nested ones are merged as well unless they are
+ * switched off.
+ * @function mergeOptions
+ * @param {!Object} target - The options to merge into
+ * @param {!Object} source - The options which win
+ * @return {!Object}
+ */
+function mergeOptions(target, source) {
+  /** @type {!Object} */
+  const merged = { ...target };
+
+  Object.keys(source).forEach((key) => {
+    if (source[key] && typeof source[key] === 'object' &&
+        merged[key] && typeof merged[key] === 'object') {
+      merged[key] = mergeOptions(merged[key], source[key]);
+    } else {
+      merged[key] = source[key];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * @function getSwiperOptions
+ * @param {!Element} element - The root element of the slider
+ * @param {!Object=} defaults - The default options of the slider
+ * @return {!Object} The options for the Swiper constructor
+ */
+export function getSwiperOptions(element, defaults = {}) {
+  /** @type {!Object} */
+  let jsonOptions = {};
+
+  if (element.hasAttribute('data-swiper')) {
+    try {
+      jsonOptions = JSON.parse(element.getAttribute('data-swiper'));
+    } catch (error) {
+      log.error('Invalid data-swiper', element, error);
+    }
+  }
+
+  if (!jsonOptions || typeof jsonOptions !== 'object' || Array.isArray(jsonOptions)) {
+    log.warn('data-swiper has to be a JSON object', element);
+    jsonOptions = {};
+  }
+
+  /** @type {!Object} */
+  const options = mergeOptions(defaults, validateOptions(
+    mergeOptions(jsonOptions, getAttributeOptions(element)),
+    ALLOWED_OPTIONS
+  ));
+
+  Object.keys(ELEMENT_OPTIONS).forEach((option) => {
+    if (!options[option] || typeof options[option] !== 'object') {
+      return;
+    }
+
+    // Copied, so the defaults passed in stay untouched.
+    options[option] = { ...options[option] };
+
+    ELEMENT_OPTIONS[option]
+      .filter((key) => typeof options[option][key] === 'string')
+      .forEach((key) => {
+        options[option][key] = element.querySelector(options[option][key]);
+      });
+  });
+
+  return options;
+}
@@ -1,46 +1,121 @@
- /**
+/**
  * Throttle a specified function to avoid multiple unnecessary calls.
  * @module throttle
  * @exports throttle
+ * @exports rafThrottle
+ * @requires debounce
  * @public
- * @version 1.0.0
+ * @version 2.0.0
  * @author frontend@webit.de
  * @example
- * eventTarget.addEventListener('keydown', CORE.throttle(event => {
+ * eventTarget.addEventListener('keydown', throttle(event => {
  *   // do a fancy animation
  * }, 250));
+ *
+ * const update = rafThrottle(() => {
+ *   // read the scroll position and update the styles
+ * });
+ *
+ * window.addEventListener('scroll', update, { passive: true });
+ * // ...
+ * update.cancel(); // e.g. when the component unmounts
  * @see https://remysharp.com/2010/07/21/throttling-function-calls
  */
 
 'use strict';
 
+// Self-written modules
+import { debounce } from './debounce.js';
+
 /**
+ * Fires the function at most once per threshold: at the first call and, if
+ * it was called again meanwhile, at the end of the threshold.
  * @function throttle
  * @param {!Function} func - The function that should be executed within a throttle
  * @param {number=} threshold - Time in milliseconds until the function will be fired
- * @param {string=} scope - The context of the fired function
+ * @param {{leading: (boolean|undefined), trailing: (boolean|undefined), scope: (Object|undefined)}=} options
+ *     If the function is fired at the first call and at the end of the
+ *     threshold, both true by default, and the context it's fired with, the
+ *     one of the throttled function by default.
+ * @return {!Function} The throttled function with the methods cancel() and
+ *     flush()
  */
-export function throttle(func, threshold = 250, scope = this) {
-  /** @type {number} */
-  let last;
-  /** @type {Object} */
-  let defer_timer;
-
-  return function () {
-    /** @type {number} */
-    let now = +new Date;
-    /** @type {Object} */
-    const ARGS = arguments;
-
-    if (last && now < last + threshold) {
-      clearTimeout(defer_timer);
-      defer_timer = setTimeout(() => {
-        last = now;
-        func.apply(scope, ARGS);
-      }, threshold);
-    } else {
-      last = now;
-      func.apply(scope, ARGS);
+export function throttle(func, threshold = 250, options = {}) {
+  return debounce(func, threshold, {
+    ...options,
+    leading: options.leading !== false,
+    trailing: options.trailing !== false,
+    maxWait: threshold,
+  });
+}
+
+/**
+ * Fires the function at most once per animation frame with the arguments of
+ * the last call, the right pace for work on scroll or resize which touches
+ * the layout.
+ * @function rafThrottle
+ * @param {!Function} func - The function that should be executed once per frame
+ * @param {{scope: (Object|undefined)}=} options - The context the function is
+ *     fired with, the one of the throttled function by default
+ * @return {!Function} The throttled function with the methods cancel() and
+ *     flush()
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Window/requestAnimationFrame
+ */
+export function rafThrottle(func, options = {}) {
+  /** @type {?number} */
+  let frame = null;
+  /** @type {?Array} */
+  let lastArgs = null;
+  /** @type {*} */
+  let lastContext = null;
+
+  function invoke() {
+    /** @type {!Array} */
+    const args = lastArgs;
+    /** @type {*} */
+    const context = 'scope' in options ? options.scope : lastContext;
+
+    frame = null;
+    lastArgs = null;
+    lastContext = null;
+    func.apply(context, args);
+  }
+
+  /**
+   * @this {*}
+   * @param {...*} args - The arguments passed on to the function
+   */
+  function throttled(...args) {
+    lastArgs = args;
+    lastContext = this;
+
+    if (frame === null) {
+      frame = window.requestAnimationFrame(invoke);
     }
   }
+
+  /**
+   * Drops a pending call.
+   */
+  throttled.cancel = () => {
+    if (frame !== null) {
+      window.cancelAnimationFrame(frame);
+    }
+
+    frame = null;
+    lastArgs = null;
+    lastContext = null;
+  };
+
+  /**
+   * Fires a pending call right away.
+   */
+  throttled.flush = () => {
+    if (frame !== null) {
+      window.cancelAnimationFrame(frame);
+      invoke();
+    }
+  };
+
+  return throttled;
 }
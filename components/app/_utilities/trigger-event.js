@@ -3,30 +3,35 @@
  * @module trigger-event
  * @exports triggerEvent
  * @public
- * @version 1.0.0
+ * @version 2.0.0
  * @author frontend@webit.de
- * @see https://developer.mozilla.org/en-US/docs/Web/Events
+ * @example
+ * const isAllowed = triggerEvent(form, 'form:submit', {
+ *   detail: { fields: 3 },
+ *   bubbles: true,
+ *   cancelable: true,
+ * });
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/CustomEvent/CustomEvent
  */
 
 'use strict';
 
 /**
  * @function triggerEvent
- * @param {Object} element - The element where we want to trigger an event
+ * @param {!EventTarget} element - The element where we want to trigger an event
  * @param {string} type - The type of the event
+ * @param {{detail: (*|undefined), bubbles: (boolean|undefined), cancelable: (boolean|undefined)}=} options
+ *     The payload available as event.detail, if the event bubbles up the DOM
+ *     and if a listener can cancel it, both false by default
+ * @return {boolean} False if a listener called preventDefault()
  */
-export function triggerEvent (element, type) {
-  /** @type {Object} */
-  let event;
+export function triggerEvent(element, type, options = {}) {
+  /** @type {!CustomEvent} */
+  const event = new CustomEvent(type, {
+    detail: options.detail === undefined ? null : options.detail,
+    bubbles: Boolean(options.bubbles),
+    cancelable: Boolean(options.cancelable),
+  });
 
-  if (typeof window.CustomEvent === 'function') {
-    event = new CustomEvent(type);
-  } else {
-    /** This is used for old Internet Explorer versions. */
-    /** @deprecated */
-    event = document.createEvent('CustomEvent');
-    event.initCustomEvent(type, false, true, null);
-  }
-
-  element.dispatchEvent(event);
+  return element.dispatchEvent(event);
 }
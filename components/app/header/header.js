@@ -1,133 +1,171 @@
-function MenuOverlayPhone() {
+/**
+ * Menu overlay of the phone and tablet navigation. The root element is the
+ * overlay, the hamburger button references it by aria-controls. The overlay
+ * closes once the viewport grows to the desktop navigation. Opening and
+ * closing emit menu:open and menu:close on the event bus.
+ * @module header
+ * @requires breakpoint
+ * @requires event-bus
+ * @requires focus-trap
+ * @requires mark-current-page
+ */
+
+// Self-written modules
+import { current } from '../_utilities/breakpoint.js';
+import { emit, on } from '../_utilities/event-bus.js';
+import { createFocusTrap } from '../_utilities/focus-trap.js';
+import { markCurrentPage } from '../_utilities/mark-current-page.js';
+
+/**
+ * @function MenuOverlayPhone
+ * @param {!Element} menuOverlay - The root element
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function MenuOverlayPhone(menuOverlay) {
     // Get DOM elements
-    const menuToggle = document.getElementById("menu-toggle");
-    const hamburgerMenu = document.querySelector(".hamburger-menu");
-    const menuOverlay = document.getElementById("menu-overlay");
-    const closeButton = document.querySelector(".close-menu-overlay");
-  
+    const hamburgerMenu = document.querySelector(`[aria-controls="${menuOverlay.id}"]`);
+    const closeButton = menuOverlay.querySelector(".close-menu-overlay");
+    const menuLinks = menuOverlay.querySelectorAll("a");
+    // The invisible checkbox toggling the overlay with CSS precedes it
+    let menuToggle = menuOverlay.previousElementSibling;
+
+    while (menuToggle && !menuToggle.matches('input[type="checkbox"]')) {
+      menuToggle = menuToggle.previousElementSibling;
+    }
+
+    // Keeps the focus inside the open menu and hands it back to the
+    // hamburger button on closing
+    const focusTrap = createFocusTrap(menuOverlay, {
+      initialFocus: menuOverlay,
+      returnFocus: hamburgerMenu,
+    });
+
     // Track menu state
     let isMenuOpen = false;
-  
-    // Initialize the menu
-    function init() {
+    let unsubscribeBreakpoint = null;
+
+    // Mount the menu
+    function mount() {
+      if (!hamburgerMenu || !closeButton || !menuToggle) {
+        return;
+      }
+
+      markCurrentPage(menuOverlay);
       setupEventListeners();
       updateMenuState();
     }
-  
+
+    // Remove all event listeners
+    function unmount() {
+      if (!hamburgerMenu || !closeButton || !menuToggle) {
+        return;
+      }
+
+      hamburgerMenu.removeEventListener("click", handleHamburgerClick);
+      hamburgerMenu.removeEventListener("keydown", handleHamburgerKeydown);
+      closeButton.removeEventListener("click", handleCloseClick);
+      menuOverlay.removeEventListener("keydown", handleOverlayKeydown);
+      unsubscribeBreakpoint();
+      menuLinks.forEach(link => {
+        link.removeEventListener("click", handleLinkClick);
+      });
+
+      focusTrap.deactivate();
+    }
+
     // Set up all event listeners
     function setupEventListeners() {
       // Hamburger button
       hamburgerMenu.addEventListener("click", handleHamburgerClick);
       hamburgerMenu.addEventListener("keydown", handleHamburgerKeydown);
-  
-      // Close button
+
+      // Close button, a native button also clicks on Enter and Space
       closeButton.addEventListener("click", handleCloseClick);
-      closeButton.addEventListener("keydown", handleCloseKeydown);
-  
+
       // Menu overlay
       menuOverlay.addEventListener("keydown", handleOverlayKeydown);
-  
+
+      // Viewport changes
+      unsubscribeBreakpoint = on("breakpoint:change", handleBreakpointChange);
+
       // Menu links
-      const menuLinks = menuOverlay.querySelectorAll("a");
       menuLinks.forEach(link => {
         link.addEventListener("click", handleLinkClick);
       });
     }
-  
+
     // Event handlers
     function handleHamburgerClick() {
       toggleMenu();
     }
-  
+
     function handleHamburgerKeydown(e) {
       if (e.key === "Enter" || e.key === " ") {
         e.preventDefault();
         toggleMenu();
       }
     }
-  
+
     function handleCloseClick() {
       closeMenu();
     }
-  
-    function handleCloseKeydown(e) {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault();
-        closeMenu();
-      }
-    }
-  
+
     function handleOverlayKeydown(e) {
       if (e.key === "Escape") {
         closeMenu();
       }
     }
-  
+
     function handleLinkClick() {
       closeMenu();
     }
-  
+
+    function handleBreakpointChange() {
+      // The desktop navigation takes over, nothing would show the open menu
+      if (isMenuOpen && current() === "desktop") {
+        closeMenu();
+      }
+    }
+
     // Menu actions
     function toggleMenu() {
       isMenuOpen = !isMenuOpen;
       updateMenuState();
     }
-  
+
     function closeMenu() {
       isMenuOpen = false;
-      updateMenuState();
-      hamburgerMenu.focus();
+      updateMenuState(); // The focus trap moves the focus back to the hamburger
     }
-  
+
     // Update UI state
     function updateMenuState() {
+      const hasChanged = menuToggle.checked !== isMenuOpen;
+
       // Update checkbox
       menuToggle.checked = isMenuOpen;
-      
+
       // Update ARIA attributes
       hamburgerMenu.setAttribute("aria-expanded", isMenuOpen);
       menuOverlay.setAttribute("aria-hidden", !isMenuOpen);
-      
+
       // Update tabindex for all focusable elements
       const focusableElements = menuOverlay.querySelectorAll('a, button, [tabindex]');
       focusableElements.forEach(el => {
         el.setAttribute("tabindex", isMenuOpen ? "0" : "-1");
       });
-  
-      // Update overlay visibility
+
+      // Move the focus into the open overlay and keep it there
       if (isMenuOpen) {
-        menuOverlay.focus();
+        focusTrap.activate();
+      } else {
+        focusTrap.deactivate();
       }
-    }
-  
-    // Initialize focus trap when menu is open
-    function setupFocusTrap() {
-      const focusableElements = menuOverlay.querySelectorAll('a, button, [tabindex="0"]');
-      if (focusableElements.length > 0) {
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-  
-        firstElement.addEventListener("keydown", (e) => {
-          if (e.key === "Tab" && e.shiftKey) {
-            e.preventDefault();
-            lastElement.focus();
-          }
-        });
-  
-        lastElement.addEventListener("keydown", (e) => {
-          if (e.key === "Tab" && !e.shiftKey) {
-            e.preventDefault();
-            firstElement.focus();
-          }
-        });
+
+      if (hasChanged) {
+        emit(isMenuOpen ? "menu:open" : "menu:close", { element: menuOverlay });
       }
     }
-  
-    // Initialize the menu
-    init();
-    setupFocusTrap();
-  }
-  
-  export default function init() {
-    MenuOverlayPhone();
-  }
\ No newline at end of file
+
+    return { mount, unmount };
+}
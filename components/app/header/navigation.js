@@ -0,0 +1,202 @@
+/**
+ * Desktop navigation with a dropdown per department following the disclosure
+ * pattern: a button next to the department link shows or hides its submenu.
+ * Below the desktop breakpoint the navigation is hidden in favour of the menu
+ * overlay, open submenus get closed then. Opening and closing a submenu emit
+ * navigation:open and navigation:close on the event bus.
+ * @module navigation
+ * @requires breakpoint
+ * @requires event-bus
+ * @requires logger
+ * @requires mark-current-page
+ * @see https://www.w3.org/WAI/ARIA/apg/patterns/disclosure/examples/disclosure-navigation/
+ */
+
+// Self-written modules
+import { current } from '../_utilities/breakpoint.js';
+import { emit, on } from '../_utilities/event-bus.js';
+import { createLogger } from '../_utilities/logger.js';
+import { markCurrentPage } from '../_utilities/mark-current-page.js';
+
+/**
+ * Switched on with ?debug=navigation
+ * @type {!Object}
+ */
+const log = createLogger('navigation');
+
+/**
+ * @function Navigation
+ * @param {!Element} navigation - The root element
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function Navigation(navigation) {
+  const toggles = Array.from(navigation.querySelectorAll('.submenu-toggle'));
+  let openToggle = null;
+  let unsubscribeBreakpoint = null;
+
+  /**
+   * @param {!Element} toggle - A submenu toggle
+   * @return {?Element} The submenu it controls
+   */
+  function getSubmenu(toggle) {
+    return document.getElementById(toggle.getAttribute('aria-controls'));
+  }
+
+  /**
+   * @param {!Element} toggle - A submenu toggle
+   * @return {!Array<!HTMLAnchorElement>} The links of its submenu
+   */
+  function getLinks(toggle) {
+    const submenu = getSubmenu(toggle);
+
+    return submenu ? Array.from(submenu.querySelectorAll('a[href]')) : [];
+  }
+
+  function openSubmenu(toggle) {
+    if (openToggle && openToggle !== toggle) {
+      closeSubmenu(openToggle); // Only one submenu is open at a time
+    }
+
+    if (openToggle === toggle) {
+      return;
+    }
+
+    toggle.setAttribute('aria-expanded', 'true');
+    getSubmenu(toggle).hidden = false;
+    openToggle = toggle;
+    emit('navigation:open', { element: navigation, submenu: getSubmenu(toggle) });
+  }
+
+  function closeSubmenu(toggle) {
+    toggle.setAttribute('aria-expanded', 'false');
+    getSubmenu(toggle).hidden = true;
+
+    if (openToggle === toggle) {
+      openToggle = null;
+      emit('navigation:close', { element: navigation, submenu: getSubmenu(toggle) });
+    }
+  }
+
+  /**
+   * Moves the focus to a link of the open submenu.
+   * @param {number} index - The index of the link, negative ones count from
+   *     the end and the ones out of range wrap around
+   */
+  function focusLink(index) {
+    const links = getLinks(openToggle);
+
+    if (links.length) {
+      links[(index + links.length) % links.length].focus();
+    }
+  }
+
+  // Event handlers
+  function handleToggleClick(e) {
+    const toggle = e.currentTarget;
+
+    if (toggle === openToggle) {
+      closeSubmenu(toggle);
+    } else {
+      openSubmenu(toggle);
+    }
+  }
+
+  function handleToggleKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      openSubmenu(e.currentTarget);
+      focusLink(e.key === 'ArrowDown' ? 0 : -1);
+    }
+  }
+
+  function handleKeydown(e) {
+    // Keys already handled by a toggle bubble up as well
+    if (!openToggle || e.defaultPrevented) {
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      const toggle = openToggle;
+
+      closeSubmenu(toggle);
+      toggle.focus();
+      return;
+    }
+
+    const links = getLinks(openToggle);
+    const index = links.indexOf(document.activeElement);
+
+    if (index === -1) {
+      return;
+    }
+
+    const targets = {
+      ArrowDown: index + 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: -1,
+    };
+
+    if (e.key in targets) {
+      e.preventDefault();
+      focusLink(targets[e.key]);
+    }
+  }
+
+  function handleFocusOut(e) {
+    // Close the submenu once the focus leaves its department
+    if (openToggle && !openToggle.parentElement.contains(e.relatedTarget)) {
+      closeSubmenu(openToggle);
+    }
+  }
+
+  function handleDocumentClick(e) {
+    if (openToggle && !navigation.contains(e.target)) {
+      closeSubmenu(openToggle);
+    }
+  }
+
+  function handleBreakpointChange() {
+    // The menu overlay takes over below the desktop breakpoint
+    if (openToggle && current() !== 'desktop') {
+      closeSubmenu(openToggle);
+    }
+  }
+
+  function mount() {
+    markCurrentPage(navigation);
+
+    toggles.forEach(toggle => {
+      if (!getSubmenu(toggle)) {
+        log.warn('no submenu found for', toggle);
+        return;
+      }
+
+      toggle.addEventListener('click', handleToggleClick);
+      toggle.addEventListener('keydown', handleToggleKeydown);
+    });
+
+    navigation.addEventListener('keydown', handleKeydown);
+    navigation.addEventListener('focusout', handleFocusOut);
+    document.addEventListener('click', handleDocumentClick);
+    unsubscribeBreakpoint = on('breakpoint:change', handleBreakpointChange);
+  }
+
+  function unmount() {
+    if (openToggle) {
+      closeSubmenu(openToggle);
+    }
+
+    toggles.forEach(toggle => {
+      toggle.removeEventListener('click', handleToggleClick);
+      toggle.removeEventListener('keydown', handleToggleKeydown);
+    });
+
+    navigation.removeEventListener('keydown', handleKeydown);
+    navigation.removeEventListener('focusout', handleFocusOut);
+    document.removeEventListener('click', handleDocumentClick);
+    unsubscribeBreakpoint();
+  }
+
+  return { mount, unmount };
+}
@@ -0,0 +1,150 @@
+/**
+ * Sticky header reacting to the scroll:smart event of main.js. Past the hero
+ * it gets compact, scrolling down hides it and scrolling up brings it back.
+ * The height of the visible bar is kept in the custom property
+ * --header-height on the html element, so anchor targets scroll below it.
+ * Nothing changes while the menu overlay is open. Hiding and showing emit
+ * header:hide and header:show on the event bus.
+ * @module sticky-header
+ * @requires event-bus
+ */
+
+// Self-written modules
+import { emit, on } from '../_utilities/event-bus.js';
+
+/**
+ * @function StickyHeader
+ * @param {!Element} header - The root element
+ * @param {{hero: (string|undefined), tolerance: (number|undefined)}} options -
+ *     The element the header gets compact after and the distance in px to
+ *     scroll before it hides or shows again
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function StickyHeader(header, options = {}) {
+  const heroSelector = options.hero || '.hero-slider, .page-hero';
+  const tolerance = options.tolerance || 10;
+  const bars = header.querySelectorAll('.navigationbar, .navigationbar-phone');
+  const menuOverlay = header.querySelector('.menu-overlay');
+
+  let lastScrollY = window.scrollY;
+  let isMenuOpen = false;
+  let unsubscribers = [];
+
+  /**
+   * The height of the header isn't taken into account, it changes with the
+   * compact state and would make the header flicker at the threshold.
+   * @return {number} The scroll position the header gets compact at, on
+   *     pages without a hero right away
+   */
+  function getCompactOffset() {
+    const hero = document.querySelector(heroSelector);
+
+    return hero ? hero.getBoundingClientRect().bottom + window.scrollY : 0;
+  }
+
+  /**
+   * @return {number} The height of the bar shown for the current viewport
+   */
+  function getHeight() {
+    const bar = Array.from(bars).find(element => element.offsetHeight > 0);
+
+    // The offsets ignore the transform hiding the bar
+    return bar ? bar.offsetTop + bar.offsetHeight : 0;
+  }
+
+  function updateHeight() {
+    document.documentElement.style.setProperty('--header-height', `${getHeight()}px`);
+  }
+
+  /**
+   * @param {boolean} isHidden - If the header should be hidden
+   */
+  function setHidden(isHidden) {
+    if (isHidden !== header.classList.contains('is-hidden')) {
+      header.classList.toggle('is-hidden', isHidden);
+      emit(isHidden ? 'header:hide' : 'header:show', { element: header });
+    }
+  }
+
+  function show() {
+    setHidden(false);
+  }
+
+  function update() {
+    if (isMenuOpen) {
+      return;
+    }
+
+    const scrollY = window.scrollY;
+    const compactOffset = getCompactOffset();
+    const isCompact = scrollY > compactOffset;
+
+    if (isCompact !== header.classList.contains('is-compact')) {
+      header.classList.toggle('is-compact', isCompact);
+      updateHeight();
+    }
+
+    if (Math.abs(scrollY - lastScrollY) < tolerance) {
+      return;
+    }
+
+    // Keyboard users keep the header while they move through it
+    const shouldHide = scrollY > lastScrollY && scrollY > compactOffset &&
+      !header.contains(document.activeElement);
+
+    setHidden(shouldHide);
+    lastScrollY = scrollY;
+  }
+
+  // Event handlers
+  function handleMenuOpen(detail) {
+    if (detail.element === menuOverlay) {
+      isMenuOpen = true;
+      show();
+    }
+  }
+
+  function handleMenuClose(detail) {
+    if (detail.element === menuOverlay) {
+      isMenuOpen = false;
+      lastScrollY = window.scrollY;
+    }
+  }
+
+  function handleTransitionEnd(e) {
+    if (e.propertyName !== 'transform') {
+      updateHeight(); // The compact bar has reached its height
+    }
+  }
+
+  function mount() {
+    header.classList.add('is-sticky');
+    update();
+    updateHeight();
+
+    window.addEventListener('scroll:smart', update);
+    window.addEventListener('resize:smart', updateHeight);
+    header.addEventListener('focusin', show);
+    header.addEventListener('transitionend', handleTransitionEnd);
+
+    unsubscribers = [
+      on('menu:open', handleMenuOpen),
+      on('menu:close', handleMenuClose),
+    ];
+  }
+
+  function unmount() {
+    window.removeEventListener('scroll:smart', update);
+    window.removeEventListener('resize:smart', updateHeight);
+    header.removeEventListener('focusin', show);
+    header.removeEventListener('transitionend', handleTransitionEnd);
+
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+
+    header.classList.remove('is-sticky', 'is-compact', 'is-hidden');
+    document.documentElement.style.removeProperty('--header-height');
+  }
+
+  return { mount, unmount };
+}
@@ -1,79 +1,636 @@
-function imagezoom() {
-  // Select all thumbnails
-  const thumbnails = document.querySelectorAll('.thumbnail img');
-  // Select the overlay element and the image inside it
-  const overlay = document.getElementById('image-overlay');
-  const overlayImage = document.getElementById('overlay-image');
+/**
+ * Gallery lightbox opening the large version of an image in an overlay.
+ * Every element with data-component="image-zoom" gets its own instance and
+ * overlay, the images inside it are matched by the trigger option. Previous
+ * and next buttons, arrow keys and swiping move through the images of the
+ * same group, which is set with data-gallery or data-lightbox. The open
+ * image is kept in the URL hash, e.g. #bild-3, so it can be shared. Every
+ * instance has its own hash prefix, taken from the hashPrefix option, the id
+ * of the element or its position on the page. Inside
+ * the overlay the image can be zoomed by double click or tap, mouse wheel,
+ * pinching and the keys + - 0, and panned while zoomed. The overlay is a
+ * modal dialog: focus stays inside while it's open, the rest of the page is
+ * inert and doesn't scroll, and focus returns to the thumbnail on closing.
+ * Opening, moving to another image and closing emit lightbox:open,
+ * lightbox:change and lightbox:close on the event bus.
+ * @module image-zoom
+ * @requires event-bus
+ * @requires focus-trap
+ * @requires logger
+ * @requires throttle
+ */
+
+// Self-written modules
+import { emit } from '../_utilities/event-bus.js';
+import { createFocusTrap } from '../_utilities/focus-trap.js';
+import { createLogger } from '../_utilities/logger.js';
+import { rafThrottle } from '../_utilities/throttle.js';
+
+/**
+ * Switched on with ?debug=image-zoom
+ * @type {!Object}
+ */
+const log = createLogger('image-zoom');
+
+/**
+ * The hash prefixes of the mounted instances, a shared one would open the
+ * image in all of them.
+ * @type {!Set<string>}
+ */
+const hashPrefixes = new Set();
+
+/**
+ * The hash prefix of an instance without hashPrefix option and id: bild for
+ * the first gallery of the page, bild2, bild3 … for the others.
+ * @function getDefaultHashPrefix
+ * @param {!Element} element - The root element
+ * @return {string}
+ */
+function getDefaultHashPrefix(element) {
+  const index = Array.from(document.querySelectorAll('[data-component="image-zoom"]'))
+    .indexOf(element);
+
+  return index > 0 ? `bild${index + 1}` : 'bild';
+}
+
+/**
+ * @function imagezoom
+ * @param {!Element} element - The root element
+ * @param {{trigger: (string|undefined), hashPrefix: (string|undefined)}} options
+ *     The selector of the clickable images or links, the latter open their
+ *     href, and the prefix of the URL hash
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function imagezoom(element, options) {
+  // Select the clickable thumbnails of this instance
+  const trigger = options.trigger || '.thumbnail img';
+  const hashPrefix = options.hashPrefix || element.id || getDefaultHashPrefix(element);
+  const hashPattern = new RegExp('^#' + hashPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '-(\\d+)$');
+  // Select the overlay element or create one, e.g. for galleries without it
+  const overlay = element.querySelector('.overlay') || createOverlay();
+  const overlayImage = overlay.querySelector('.overlay-content img');
+  const caption = overlay.querySelector('.overlay-caption');
+  const prevBtn = overlay.querySelector('.overlay-prev');
+  const nextBtn = overlay.querySelector('.overlay-next');
+  const resetBtn = overlay.querySelector('.overlay-zoom-reset');
   // Select the close button in the overlay
-  const closeBtn = document.querySelector('.close-btn');
+  const closeBtn = overlay.querySelector('.close-btn');
+
+  // The distance in pixels a finger has to move for a swipe
+  const SWIPE_DISTANCE = 50;
+  // The limits of the zoom, the zoom of a double click and of a key press
+  const ZOOM_MIN = 1;
+  const ZOOM_MAX = 4;
+  const ZOOM_DOUBLE = 2.5;
+  const ZOOM_STEP = 0.5;
+  // The time in milliseconds between the taps of a double tap
+  const DOUBLE_TAP_DELAY = 300;
+
+  // The images of the open group and the index of the shown one
+  let group = [];
+  let current = -1;
+  // The zoom of the shown image and its offset from the center in pixels
+  let zoom = { scale: 1, x: 0, y: 0 };
+  // The touch or mouse gesture in progress and its start values
+  let gesture = null;
+  let lastTap = null;
+  let isDragged = false;
+  // The thumbnail which opened the overlay
+  let opener = null;
+  // Keeps the focus inside the open overlay, the rest of the page is inert
+  const focusTrap = createFocusTrap(overlay, {
+    initialFocus: closeBtn,
+    returnFocus: () => opener,
+    inert: true,
+  });
+
+  /**
+   * Creates the overlay with the markup of image-zoom.html.
+   * @return {!Element}
+   */
+  function createOverlay() {
+    const newOverlay = document.createElement('div');
+    newOverlay.className = 'overlay hidden';
+    newOverlay.setAttribute('role', 'dialog');
+    newOverlay.setAttribute('aria-modal', 'true');
+    newOverlay.setAttribute('aria-label', 'Bildergalerie');
+    newOverlay.tabIndex = -1;
+    newOverlay.innerHTML = `
+      <div class="overlay-content">
+        <img class="overlay-image" src="" alt="Vergrößertes Bild">
+        <button type="button" class="close-btn" aria-label="Overlay schließen">&times;</button>
+        <button type="button" class="overlay-prev" aria-label="Vorheriges Bild">&lsaquo;</button>
+        <button type="button" class="overlay-next" aria-label="Nächstes Bild">&rsaquo;</button>
+        <button type="button" class="overlay-zoom-reset" hidden>Zoom zurücksetzen</button>
+        <p class="overlay-caption"></p>
+      </div>`;
+    element.appendChild(newOverlay);
 
-  // --- PRE-CHECK: Ensure all necessary overlay elements exist ---
-  // If any of these are missing, the image zoom feature cannot work on this page.
-  if (!overlay || !overlayImage || !closeBtn) {
-    console.log("Image zoom essential elements (overlay, overlayImage, or closeBtn) not found. Skipping initialization.");
-    return; // Stop executing the imagezoom function
+    return newOverlay;
+  }
+
+  /**
+   * @return {!Array<!Element>} All thumbnails of this instance
+   */
+  function getTriggers() {
+    return Array.from(element.querySelectorAll(trigger))
+      .filter(target => !overlay.contains(target));
   }
 
-  // --- If we reach here, all essential overlay elements exist ---
-  console.log("Image zoom elements found. Initializing listeners.");
+  /**
+   * Makes the thumbnail images reachable and usable with the keyboard,
+   * links already are.
+   */
+  function setupTriggers() {
+    getTriggers()
+      .filter(target => !target.matches('a[href], button'))
+      .forEach(target => {
+        target.tabIndex = 0;
+        target.setAttribute('role', 'button');
+      });
+  }
 
   /**
-   * Opens the overlay and loads the larger image source.
-   * The overlay only opens if the window width is > 500px.
+   * @param {!Element} target - A thumbnail
+   * @return {string} The name of its group, empty for the default group
+   */
+  function getGroup(target) {
+    const grouped = target.closest('[data-gallery], [data-lightbox]');
+
+    return grouped && element.contains(grouped)
+      ? grouped.getAttribute('data-gallery') || grouped.getAttribute('data-lightbox')
+      : '';
+  }
+
+  /**
+   * @param {!Element} target - A thumbnail
+   * @return {?HTMLImageElement} The image of the thumbnail
+   */
+  function getImage(target) {
+    return target.matches('img') ? target : target.querySelector('img');
+  }
+
+  /**
+   * Uses the href of a link, the data-large attribute or the current src.
+   * @param {!Element} target - A thumbnail
+   * @return {string}
+   */
+  function getLargeSrc(target) {
+    const img = getImage(target);
+
+    return target.getAttribute('href') ||
+      (img && (img.getAttribute('data-large') || img.src)) || '';
+  }
+
+  /**
+   * Uses the figcaption of the surrounding figure, the data-title attribute
+   * or the alt text.
+   * @param {!Element} target - A thumbnail
+   * @return {string}
+   */
+  function getCaption(target) {
+    const figure = target.closest('figure');
+    const figcaption = figure && element.contains(figure) && figure.querySelector('figcaption');
+    const img = getImage(target);
+
+    if (figcaption) {
+      return figcaption.textContent.trim();
+    }
+
+    return target.getAttribute('data-title') || (img && img.alt) || '';
+  }
+
+  /**
+   * Starts loading the large images next to the shown one.
+   */
+  function preloadNeighbours() {
+    [current - 1, current + 1].forEach(index => {
+      const neighbour = group[(index + group.length) % group.length];
+
+      if (neighbour && group.length > 1) {
+        new Image().src = getLargeSrc(neighbour);
+      }
+    });
+  }
+
+  /**
+   * Shows an image of the open group.
+   * @param {number} index - The index in the group, wraps around at the ends
+   */
+  function showImage(index) {
+    current = (index + group.length) % group.length;
+    resetZoom();
+
+    const target = group[current];
+    const text = getCaption(target);
+
+    overlayImage.src = getLargeSrc(target);
+    overlayImage.alt = text || 'Vergrößertes Bild';
+    caption.textContent = text;
+    caption.hidden = !text;
+    prevBtn.hidden = nextBtn.hidden = group.length < 2;
+
+    history.replaceState(null, '', `#${hashPrefix}-${getTriggers().indexOf(target) + 1}`);
+    preloadNeighbours();
+
+    // Opening the overlay emits lightbox:open instead
+    if (!overlay.classList.contains('hidden')) {
+      emit('lightbox:change', getEventDetail());
+    }
+  }
+
+  /**
+   * @return {{element: !Element, index: number, total: number, src: string}}
+   *     The payload of the lightbox events
+   */
+  function getEventDetail() {
+    return { element, index: current, total: group.length, src: overlayImage.src };
+  }
+
+  /**
+   * Opens the overlay with a thumbnail and the other images of its group.
+   * @param {!Element} target - The thumbnail
+   */
+  function openImage(target) {
+    const name = getGroup(target);
+    const isOpen = current !== -1;
+
+    group = getTriggers().filter(item => getGroup(item) === name);
+    showImage(group.indexOf(target));
+
+    if (isOpen) {
+      return;
+    }
+
+    opener = target;
+    overlay.classList.remove('hidden');
+    focusTrap.activate();
+    // Listens only while the overlay is open
+    document.addEventListener('keydown', handleKeydown);
+    emit('lightbox:open', getEventDetail());
+  }
+
+  /**
+   * Opens the overlay from the click on a thumbnail.
    * @param {Event} event - The click event from the thumbnail.
    */
   function openOverlay(event) {
-    // Check if the window width is <= 500px
-    if (window.innerWidth <= 500) {
-      return; // Do not open the overlay
+    const target = event.target.closest(trigger);
+
+    if (!target || !element.contains(target) || overlay.contains(target)) {
+      return;
+    }
+
+    event.preventDefault(); // Links open their image in the overlay, too
+    openImage(target);
+  }
+
+  /**
+   * Opens the overlay with Enter or Space on a thumbnail image.
+   * @param {KeyboardEvent} event - The keydown event from the thumbnail.
+   */
+  function handleTriggerKeydown(event) {
+    if (event.key === 'Enter' || event.key === ' ') {
+      const target = event.target.closest(trigger);
+
+      if (target && target.getAttribute('role') === 'button' &&
+          element.contains(target) && !overlay.contains(target)) {
+        event.preventDefault();
+        openImage(target);
+      }
+    }
+  }
+
+  /**
+   * Opens the image of the URL hash, e.g. #bild-3 for the third thumbnail.
+   */
+  function openFromHash() {
+    const match = hashPattern.exec(window.location.hash);
+    const target = match && getTriggers()[Number(match[1]) - 1];
+
+    // E.g. the back button removed the hash of the open image
+    if (!match && current !== -1) {
+      closeOverlay();
+      return;
     }
 
-    const img = event.target;
-    // Use the data-large attribute or, if not present, the current src
-    const largeSrc = img.getAttribute('data-large') || img.src;
-    overlayImage.src = largeSrc; // Safe now because we checked overlayImage exists
-    overlay.classList.remove('hidden'); // Safe now because we checked overlay exists
+    if (target && target !== group[current]) {
+      openImage(target);
+    }
   }
 
   /**
    * Closes the overlay and clears the image content.
    */
   function closeOverlay() {
-    overlay.classList.add('hidden'); // Safe now
-    overlayImage.src = '';           // Safe now
+    if (current === -1) {
+      return;
+    }
+
+    if (hashPattern.test(window.location.hash)) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    document.removeEventListener('keydown', handleKeydown);
+    overlay.classList.add('hidden');
+    overlayImage.src = '';
+    resetZoom();
+    group = [];
+    current = -1;
+
+    // Back to the thumbnail the overlay was opened from
+    focusTrap.deactivate();
+    opener = null;
+    emit('lightbox:close', { element });
   }
 
-  // Add a click event to each thumbnail
-  // Only proceed if there are actually thumbnails found
-  if (thumbnails.length > 0) {
-     thumbnails.forEach(thumbnail => {
-       thumbnail.addEventListener('click', openOverlay);
-     });
-  } else {
-      console.log("No thumbnail images found for image zoom.");
+  /**
+   * Moves and scales the image, the offset is clamped so the image always
+   * covers its box.
+   * @param {number} scale - The zoom factor
+   * @param {number} x - The horizontal offset from the center in pixels
+   * @param {number} y - The vertical offset from the center in pixels
+   */
+  function applyZoom(scale, x, y) {
+    const width = overlayImage.offsetWidth;
+    const height = overlayImage.offsetHeight;
+    const maxX = (width * scale - width) / 2;
+    const maxY = (height * scale - height) / 2;
+
+    zoom = {
+      scale,
+      x: Math.min(maxX, Math.max(-maxX, x)),
+      y: Math.min(maxY, Math.max(-maxY, y)),
+    };
+
+    overlayImage.style.transform = scale === ZOOM_MIN
+      ? ''
+      : `translate(${zoom.x}px, ${zoom.y}px) scale(${scale})`;
+    overlay.classList.toggle('is-zoomed', scale > ZOOM_MIN);
+    resetBtn.hidden = scale === ZOOM_MIN;
   }
 
+  /**
+   * Zooms the image while the point under the pointer stays in place.
+   * @param {number} scale - The new zoom factor, clamped to the limits
+   * @param {number=} clientX - The horizontal position of the pointer,
+   *     the center of the image by default
+   * @param {number=} clientY - The vertical position of the pointer
+   * @param {{scale: number, x: number, y: number}=} from - The zoom to start
+   *     from, the current one by default
+   */
+  function zoomTo(scale, clientX, clientY, from = zoom) {
+    const newScale = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, scale));
+    const rect = overlayImage.getBoundingClientRect();
+    // The center of the untransformed image
+    const centerX = rect.left + rect.width / 2 - zoom.x;
+    const centerY = rect.top + rect.height / 2 - zoom.y;
+    const pointX = clientX === undefined ? 0 : clientX - centerX;
+    const pointY = clientY === undefined ? 0 : clientY - centerY;
+    const ratio = newScale / from.scale;
+
+    applyZoom(
+      newScale,
+      pointX - (pointX - from.x) * ratio,
+      pointY - (pointY - from.y) * ratio
+    );
+  }
 
-  // Close the overlay via the button (Safe: closeBtn exists)
-  closeBtn.addEventListener('click', closeOverlay);
+  function resetZoom() {
+    applyZoom(ZOOM_MIN, 0, 0);
+  }
 
-  // Close the overlay when the ESC key is pressed
-  document.addEventListener('keydown', function (e) {
-    // Check if overlay exists and is visible before trying to access its classList
-    if (e.key === 'Escape' && overlay && !overlay.classList.contains('hidden')) {
+  /**
+   * Zooms in at the pointer or back out.
+   * @param {number} clientX - The horizontal position of the pointer
+   * @param {number} clientY - The vertical position of the pointer
+   */
+  function toggleZoom(clientX, clientY) {
+    if (zoom.scale > ZOOM_MIN) {
+      resetZoom();
+    } else {
+      zoomTo(ZOOM_DOUBLE, clientX, clientY);
+    }
+  }
+
+  function showPrevious() {
+    showImage(current - 1);
+  }
+
+  function showNext() {
+    showImage(current + 1);
+  }
+
+  // Close with ESC and move through the group with the arrow keys
+  function handleKeydown(e) {
+    if (e.key === 'Escape') {
       closeOverlay();
+    } else if (e.key === 'ArrowLeft') {
+      showPrevious();
+    } else if (e.key === 'ArrowRight') {
+      showNext();
+    } else if (e.key === '+' || e.key === '=') {
+      zoomTo(zoom.scale + ZOOM_STEP);
+    } else if (e.key === '-') {
+      zoomTo(zoom.scale - ZOOM_STEP);
+    } else if (e.key === '0') {
+      resetZoom();
+    }
+  }
+
+  // Close the overlay when clicking on the background (overlay itself)
+  function handleOverlayClick(e) {
+    // Releasing the mouse after dragging the image isn't a click
+    if (isDragged) {
+      isDragged = false;
+      return;
     }
-  });
 
-  // Optional: Close the overlay when clicking on the background (overlay itself) (Safe: overlay exists)
-  overlay.addEventListener('click', function (e) {
     // Check if the click target is the overlay element itself, not a child (like the image)
     if (e.target === overlay) {
       closeOverlay();
     }
+  }
+
+  function handleDoubleClick(e) {
+    toggleZoom(e.clientX, e.clientY);
+  }
+
+  // Zooms in or out at the mouse position
+  function handleWheel(e) {
+    e.preventDefault();
+    zoomTo(zoom.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+  }
+
+  // A zoomed image can be dragged with the mouse
+  function handleMouseDown(e) {
+    if (zoom.scale === ZOOM_MIN || e.button !== 0) {
+      return;
+    }
+
+    e.preventDefault();
+    isDragged = false;
+    gesture = { type: 'pan', startX: e.clientX, startY: e.clientY, from: zoom };
+    overlay.classList.add('is-dragging');
+  }
+
+  // Mouse moves come faster than frames, only the last one per frame counts
+  const handleMouseMove = rafThrottle((e) => {
+    if (gesture && gesture.type === 'pan') {
+      isDragged = true;
+      applyZoom(
+        zoom.scale,
+        gesture.from.x + e.clientX - gesture.startX,
+        gesture.from.y + e.clientY - gesture.startY
+      );
+    }
   });
-};
 
-export default function init() {
-  imagezoom(); // This will now internally check if elements exist
-}
\ No newline at end of file
+  function handleMouseUp() {
+    handleMouseMove.flush(); // Apply the last position before letting go
+    gesture = null;
+    overlay.classList.remove('is-dragging');
+  }
+
+  // One finger swipes or pans a zoomed image, two fingers pinch
+  function handleTouchStart(e) {
+    const touches = e.touches;
+
+    if (touches.length === 2) {
+      gesture = {
+        type: 'pinch',
+        distance: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY),
+        from: zoom,
+      };
+    } else if (touches.length === 1) {
+      gesture = {
+        type: zoom.scale > ZOOM_MIN ? 'pan' : 'swipe',
+        startX: touches[0].clientX,
+        startY: touches[0].clientY,
+        startTime: Date.now(),
+        from: zoom,
+      };
+    }
+
+    overlay.classList.add('is-dragging');
+  }
+
+  function handleTouchMove(e) {
+    const touches = e.touches;
+
+    if (!gesture || gesture.type === 'swipe') {
+      return;
+    }
+
+    e.preventDefault(); // The page must not scroll or zoom itself
+
+    if (gesture.type === 'pinch' && touches.length === 2) {
+      const distance = Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+      zoomTo(
+        gesture.from.scale * distance / gesture.distance,
+        (touches[0].clientX + touches[1].clientX) / 2,
+        (touches[0].clientY + touches[1].clientY) / 2,
+        gesture.from
+      );
+    } else if (gesture.type === 'pan' && touches.length === 1) {
+      applyZoom(
+        zoom.scale,
+        gesture.from.x + touches[0].clientX - gesture.startX,
+        gesture.from.y + touches[0].clientY - gesture.startY
+      );
+    }
+  }
+
+  // A mostly horizontal swipe shows the previous or next image, a double
+  // tap zooms
+  function handleTouchEnd(e) {
+    const touch = e.changedTouches[0];
+    const ended = gesture;
+
+    gesture = null;
+    overlay.classList.remove('is-dragging');
+
+    if (!ended || ended.type === 'pinch' || e.touches.length) {
+      return;
+    }
+
+    const deltaX = touch.clientX - ended.startX;
+    const deltaY = touch.clientY - ended.startY;
+
+    if (Math.abs(deltaX) < 10 && Math.abs(deltaY) < 10 && e.target === overlayImage) {
+      if (lastTap && Date.now() - lastTap < DOUBLE_TAP_DELAY) {
+        e.preventDefault(); // No emulated dblclick
+        lastTap = null;
+        toggleZoom(touch.clientX, touch.clientY);
+      } else {
+        lastTap = Date.now();
+      }
+      return;
+    }
+
+    if (ended.type === 'swipe' && group.length > 1 &&
+        Math.abs(deltaX) > SWIPE_DISTANCE && Math.abs(deltaX) > Math.abs(deltaY)) {
+      if (deltaX > 0) {
+        showPrevious();
+      } else {
+        showNext();
+      }
+    }
+  }
+
+  function mount() {
+    log.debug('initializing', element);
+
+    if (hashPrefixes.has(hashPrefix)) {
+      log.warn(`The hash prefix "${hashPrefix}" is used by another gallery, set the hashPrefix option or an id.`);
+    }
+
+    hashPrefixes.add(hashPrefix);
+
+    // One listener for all thumbnails, so images added later work as well
+    element.addEventListener('click', openOverlay);
+    element.addEventListener('keydown', handleTriggerKeydown);
+    closeBtn.addEventListener('click', closeOverlay);
+    prevBtn.addEventListener('click', showPrevious);
+    nextBtn.addEventListener('click', showNext);
+    overlay.addEventListener('click', handleOverlayClick);
+    overlay.addEventListener('touchstart', handleTouchStart, { passive: true });
+    overlay.addEventListener('touchmove', handleTouchMove, { passive: false });
+    overlay.addEventListener('touchend', handleTouchEnd);
+    overlayImage.addEventListener('dblclick', handleDoubleClick);
+    overlayImage.addEventListener('wheel', handleWheel, { passive: false });
+    overlayImage.addEventListener('mousedown', handleMouseDown);
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    resetBtn.addEventListener('click', resetZoom);
+    window.addEventListener('hashchange', openFromHash);
+
+    setupTriggers();
+    openFromHash();
+  }
+
+  function unmount() {
+    closeOverlay();
+    element.removeEventListener('click', openOverlay);
+    element.removeEventListener('keydown', handleTriggerKeydown);
+    closeBtn.removeEventListener('click', closeOverlay);
+    prevBtn.removeEventListener('click', showPrevious);
+    nextBtn.removeEventListener('click', showNext);
+    overlay.removeEventListener('click', handleOverlayClick);
+    overlay.removeEventListener('touchstart', handleTouchStart);
+    overlay.removeEventListener('touchmove', handleTouchMove);
+    overlay.removeEventListener('touchend', handleTouchEnd);
+    overlayImage.removeEventListener('dblclick', handleDoubleClick);
+    overlayImage.removeEventListener('wheel', handleWheel);
+    overlayImage.removeEventListener('mousedown', handleMouseDown);
+    window.removeEventListener('mousemove', handleMouseMove);
+    handleMouseMove.cancel();
+    window.removeEventListener('mouseup', handleMouseUp);
+    resetBtn.removeEventListener('click', resetZoom);
+    window.removeEventListener('hashchange', openFromHash);
+    hashPrefixes.delete(hashPrefix);
+  }
+
+  return { mount, unmount };
+}
@@ -1,7 +1,8 @@
 /**
  * Main entry point into all JavaScript.
  * @module main
- * @requires debounce
+ * @requires component-registry
+ * @requires error-reporter
  * @requires throttle
  * @requires trigger-event
  * @author frontend@webit.de
@@ -10,24 +11,68 @@
 'use strict';
 
 // Self-written modules
-import { debounce } from './_utilities/debounce.js';
-import { throttle } from './_utilities/throttle.js';
+import {
+  initComponents,
+  observeComponents,
+  registerComponents,
+} from './_utilities/component-registry.js';
+import { initErrorReporter } from './_utilities/error-reporter.js';
+import { rafThrottle } from './_utilities/throttle.js';
 import { triggerEvent } from './_utilities/trigger-event.js';
-import InitSliderHero from "./swiper-slider/swiper-slider.js";
-import InitImageZoom from "./image-zoom/image-zoom.js";
-import InitSliderTestimonial from "./landing-page/landing-page.js";
-import InitMenuOverlayPhone from "./header/header.js";
 
+/**
+ * Swiper is copied next to the bundle by statics-copy. The url is resolved
+ * relative to this module, so it works on every page.
+ * @type {string}
+ */
+const SWIPER_URL = new URL('./libs/swiper-bundle.min.js', import.meta.url).href;
+
+/**
+ * The components of all pages by the name used in their ```data-component```
+ * attribute. Each one is only loaded if the page contains such an element,
+ * lazy ones once the element comes near the viewport.
+ * @type {!Object.<string, !Object>}
+ */
+const COMPONENTS = {
+  'hero-slider': {
+    load: () => import('./swiper-slider/swiper-slider.js'),
+    vendor: [SWIPER_URL],
+    lazy: true,
+  },
+  'image-zoom': {
+    load: () => import('./image-zoom/image-zoom.js'),
+    lazy: true,
+  },
+  'menu-overlay': {
+    load: () => import('./header/header.js'),
+  },
+  'navigation': {
+    load: () => import('./header/navigation.js'),
+  },
+  'scroll-to-top': {
+    load: () => import('./scroll-to-top-button/scroll-to-top-button.js'),
+  },
+  'site-header': {
+    load: () => import('./header/sticky-header.js'),
+  },
+  'slider': {
+    load: () => import('./slider/slider.js'),
+    vendor: [SWIPER_URL],
+    lazy: true,
+  },
+};
 
 /**
- * Binds all events to DOM objects.
+ * Binds all events to DOM objects. The smart events fire once per animation
+ * frame, so listeners like the sticky header follow the scroll position
+ * without lag.
  * @function bindEvents
  */
 function bindEvents() {
   window.addEventListener('resize',
-    debounce(() => triggerEvent(window, 'resize:smart'), 250));
+    rafThrottle(() => triggerEvent(window, 'resize:smart')), { passive: true });
   window.addEventListener('scroll',
-    throttle(() => triggerEvent(window, 'scroll:smart'), 250));
+    rafThrottle(() => triggerEvent(window, 'scroll:smart')), { passive: true });
 }
 
 /**
@@ -39,12 +84,12 @@ function cacheElements() {
 }
 
 function init() {
+  initErrorReporter();
   cacheElements();
   bindEvents();
-  InitSliderHero();
-  InitImageZoom();
-  InitSliderTestimonial();
-  InitMenuOverlayPhone();
+  registerComponents(COMPONENTS);
+  initComponents();
+  observeComponents();
 };
 
 init();
\ No newline at end of file
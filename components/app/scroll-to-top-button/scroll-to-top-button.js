@@ -0,0 +1,123 @@
+/**
+ * Scroll-to-top button. It shows up once the page is scrolled past the offset
+ * option and its ring fills with the reading progress, both updated on the
+ * scroll:smart event of main.js. A click scrolls up smoothly, or jumps for
+ * visitors preferring reduced motion, and moves the focus to the link target
+ * (#top) on arrival. Scrolling by hand meanwhile cancels the focus move.
+ * @module scroll-to-top-button
+ * @requires logger
+ */
+
+// Self-written modules
+import { createLogger } from '../_utilities/logger.js';
+
+/**
+ * Switched on with ?debug=scroll-to-top
+ * @type {!Object}
+ */
+const log = createLogger('scroll-to-top');
+
+/**
+ * @function ScrollToTop
+ * @param {!HTMLAnchorElement} button - The root element
+ * @param {{offset: (number|undefined)}} options - The scroll depth in px the
+ *     button shows up at
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function ScrollToTop(button, options = {}) {
+  const offset = Number(options.offset) || 400;
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  // The inputs of a visitor taking over the scrolling
+  const interruptions = ['wheel', 'touchstart', 'keydown'];
+  // Smooth scrolling up from far down can take a while, but not forever
+  const maxScrollDuration = 3000;
+
+  let target = null;
+  let scrollTimeout = null;
+
+  function update() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const progress = scrollable > 0 ? Math.min(window.scrollY / scrollable, 1) : 0;
+
+    button.style.setProperty('--scroll-progress', progress.toFixed(3));
+    button.classList.toggle('is-hidden', window.scrollY < offset);
+  }
+
+  function focusTarget() {
+    stopWaiting();
+    target.focus({ preventScroll: true });
+  }
+
+  // Stops waiting for the smooth scroll to arrive at the top
+  function stopWaiting() {
+    window.clearTimeout(scrollTimeout);
+    scrollTimeout = null;
+    window.removeEventListener('scroll:smart', handleScroll);
+    interruptions.forEach(type => {
+      window.removeEventListener(type, stopWaiting);
+    });
+  }
+
+  // Event handlers
+  function handleScroll() {
+    if (window.scrollY <= 0) {
+      focusTarget();
+    }
+  }
+
+  function handleClick(e) {
+    e.preventDefault();
+
+    if (reducedMotion.matches || window.scrollY <= 0) {
+      window.scrollTo({ top: 0, behavior: 'instant' });
+      focusTarget();
+      return;
+    }
+
+    stopWaiting();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    window.addEventListener('scroll:smart', handleScroll);
+    interruptions.forEach(type => {
+      window.addEventListener(type, stopWaiting, { passive: true });
+    });
+    scrollTimeout = window.setTimeout(stopWaiting, maxScrollDuration);
+  }
+
+  function mount() {
+    target = document.querySelector(button.hash);
+
+    if (!target) {
+      log.warn(`target ${button.hash} not found`);
+      return;
+    }
+
+    // The target isn't focusable by itself
+    if (!target.hasAttribute('tabindex')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    button.classList.add('has-progress');
+    update();
+
+    button.addEventListener('click', handleClick);
+    window.addEventListener('scroll:smart', update);
+    window.addEventListener('resize:smart', update);
+  }
+
+  function unmount() {
+    if (!target) {
+      return;
+    }
+
+    button.removeEventListener('click', handleClick);
+    window.removeEventListener('scroll:smart', update);
+    window.removeEventListener('resize:smart', update);
+    stopWaiting();
+
+    button.classList.remove('has-progress', 'is-hidden');
+    button.style.removeProperty('--scroll-progress');
+    target = null;
+  }
+
+  return { mount, unmount };
+}
@@ -0,0 +1,74 @@
+/**
+ * Generic Swiper slider configured purely in the markup, e.g. for sponsors
+ * or galleries. Every element with data-component="slider" gets its own
+ * instance, its options come from data-swiper attributes. The slider emits
+ * slider:init, slider:change and slider:destroy on the event bus.
+ * @module slider
+ * @requires error-reporter
+ * @requires event-bus
+ * @requires logger
+ * @requires swiper-options
+ * @example
+ * <div class="swiper" data-component="slider" data-swiper-slides-per-view="auto" data-swiper-loop="true">
+ *   <div class="swiper-wrapper">…</div>
+ *   <div class="swiper-pagination"></div>
+ * </div>
+ */
+
+// Self-written modules
+import { reportError } from '../_utilities/error-reporter.js';
+import { emit } from '../_utilities/event-bus.js';
+import { createLogger } from '../_utilities/logger.js';
+import { getSwiperOptions } from '../_utilities/swiper-options.js';
+
+/**
+ * Switched on with ?debug=slider
+ * @type {!Object}
+ */
+const log = createLogger('slider');
+
+/**
+ * @function Slider
+ * @param {!Element} sliderElement - The root element
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function Slider(sliderElement) {
+  let swiper = null;
+
+  function mount() {
+    if (typeof window.Swiper !== 'function') {
+      log.error('Swiper is not loaded', sliderElement);
+      reportError(new Error('Swiper is not loaded'), { component: 'slider' });
+      return;
+    }
+
+    swiper = new Swiper(sliderElement, getSwiperOptions(sliderElement, {
+      slidesPerView: 1,
+      spaceBetween: 16,
+      pagination: {
+        el: '.swiper-pagination', // Looked up inside this slider
+        clickable: true,
+      },
+      on: {
+        slideChange: handleSlideChange,
+      },
+    }));
+
+    emit('slider:init', { element: sliderElement, index: swiper.realIndex });
+  }
+
+  // Swiper passes itself, the loop can change slides before it's assigned
+  function handleSlideChange(instance) {
+    emit('slider:change', { element: sliderElement, index: instance.realIndex });
+  }
+
+  function unmount() {
+    if (swiper) {
+      swiper.destroy(true, true);
+      swiper = null;
+      emit('slider:destroy', { element: sliderElement });
+    }
+  }
+
+  return { mount, unmount };
+}
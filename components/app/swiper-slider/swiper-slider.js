@@ -1,15 +1,183 @@
-function SliderHero() {
-  // 1. Try to find the slider element
-  const sliderElement = document.querySelector('.hero-slider');
-
-  // 2. Check if the element was found
-  //    If document.querySelector doesn't find anything, it returns null.
-  //    An if (element) checks if element is not null, undefined, false, 0, or ''.
-  if (sliderElement) {
-    // --- The element exists - Proceed with initialization ---
-    console.log("'.hero-slider' found. Initializing Swiper..."); // Helpful for debugging
-
-    const HeroSwiper = new Swiper(sliderElement, { // Use the found element directly
+/**
+ * Hero slider following the WAI carousel pattern. Autoplay only runs while
+ * the slider is visible, nobody hovers or focuses it, the user hasn't paused
+ * it and doesn't prefer reduced motion. A live region announces the current
+ * slide while autoplay is off. Every element with data-component="hero-slider"
+ * gets its own instance. The slider emits slider:init, slider:change,
+ * slider:pause, slider:play and slider:destroy on the event bus.
+ * @module swiper-slider
+ * @requires error-reporter
+ * @requires event-bus
+ * @requires logger
+ * @requires swiper-options
+ * @see https://www.w3.org/WAI/ARIA/apg/patterns/carousel/
+ */
+
+// Self-written modules
+import { reportError } from '../_utilities/error-reporter.js';
+import { emit } from '../_utilities/event-bus.js';
+import { createLogger } from '../_utilities/logger.js';
+import { getSwiperOptions } from '../_utilities/swiper-options.js';
+
+/**
+ * Switched on with ?debug=slider
+ * @type {!Object}
+ */
+const log = createLogger('slider');
+
+/**
+ * The texts for screen readers by page language. Single texts can be
+ * overridden with the labels option, e.g.
+ * data-options='{"labels": {"region": "Sponsoren"}}'.
+ * @type {!Object.<string, !Object.<string, string>>}
+ */
+const LABELS = {
+  de: {
+    carousel: 'Karussell',
+    pause: 'Automatische Wiedergabe anhalten',
+    region: 'Highlights',
+    slide: 'Folie',
+    status: 'Folie {index} von {total}',
+  },
+  en: {
+    carousel: 'carousel',
+    pause: 'Stop automatic slide show',
+    region: 'Highlights',
+    slide: 'slide',
+    status: 'Slide {index} of {total}',
+  },
+};
+
+/**
+ * @function SliderHero
+ * @param {!Element} sliderElement - The root element
+ * @param {{labels: (Object.<string, string>|undefined)}} options - The
+ *     component options
+ * @return {{mount: !Function, unmount: !Function}}
+ */
+export default function SliderHero(sliderElement, options = {}) {
+  let HeroSwiper = null;
+  let observer = null;
+  let liveRegion = null;
+
+  // The reasons autoplay pauses for, it only runs if none of them applies.
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  let isPlaying = !reducedMotion.matches; // Turns false once the user pauses
+  let isVisible = false;
+  let isHovered = false;
+  let hasFocus = false;
+
+  // Find the pause buttons of this slider only. Every slide has its own.
+  const pauseButtons = sliderElement.querySelectorAll('.swiper-slider-pause');
+  const language = (document.documentElement.lang || 'de').slice(0, 2);
+  const labels = { ...(LABELS[language] || LABELS.de), ...options.labels };
+
+  /**
+   * Starts or stops autoplay depending on the current state and syncs the
+   * pause buttons and the live region.
+   */
+  function updateAutoplay() {
+    const shouldRun = isPlaying && isVisible && !isHovered && !hasFocus &&
+      HeroSwiper.params.autoplay.enabled;
+
+    if (shouldRun && !HeroSwiper.autoplay.running) {
+      HeroSwiper.autoplay.start();
+      log.debug('autoplay running');
+    } else if (!shouldRun && HeroSwiper.autoplay.running) {
+      HeroSwiper.autoplay.stop();
+      log.debug('autoplay paused');
+    }
+
+    // A running slider would announce every slide change.
+    liveRegion.setAttribute('aria-live', shouldRun ? 'off' : 'polite');
+
+    pauseButtons.forEach(button => {
+      const icon = button.querySelector('[aria-hidden="true"]') || button;
+
+      button.setAttribute('aria-pressed', !isPlaying);
+      icon.textContent = isPlaying ? '⏸' : '▶'; // Pause or play symbol
+    });
+  }
+
+  /**
+   * Writes the position of the active slide into the live region.
+   */
+  function announceSlide() {
+    const total = sliderElement.querySelectorAll('.swiper-slide:not(.swiper-slide-duplicate)').length;
+
+    liveRegion.textContent = labels.status
+      .replace('{index}', HeroSwiper.realIndex + 1)
+      .replace('{total}', total);
+  }
+
+  // Event handlers
+  function handlePauseClick() {
+    isPlaying = !isPlaying;
+    updateAutoplay();
+    emit(isPlaying ? 'slider:play' : 'slider:pause', { element: sliderElement });
+  }
+
+  function handleSlideChange(instance) {
+    announceSlide();
+    emit('slider:change', { element: sliderElement, index: instance.realIndex });
+  }
+
+  function handleMouseEnter() {
+    isHovered = true;
+    updateAutoplay();
+  }
+
+  function handleMouseLeave() {
+    isHovered = false;
+    updateAutoplay();
+  }
+
+  function handleFocusIn() {
+    hasFocus = true;
+    updateAutoplay();
+  }
+
+  function handleFocusOut(e) {
+    hasFocus = sliderElement.contains(e.relatedTarget);
+    updateAutoplay();
+  }
+
+  function handleReducedMotionChange() {
+    if (reducedMotion.matches) {
+      isPlaying = false;
+      updateAutoplay();
+    }
+  }
+
+  function mount() {
+    // Without Swiper, e.g. blocked by a content blocker, the slides stay a
+    // static list.
+    if (typeof window.Swiper !== 'function') {
+      log.error('Swiper is not loaded', sliderElement);
+      reportError(new Error('Swiper is not loaded'), { component: 'hero-slider' });
+      return;
+    }
+
+    log.debug('initializing', sliderElement);
+
+    sliderElement.setAttribute('role', 'region');
+    sliderElement.setAttribute('aria-roledescription', labels.carousel);
+    if (!sliderElement.hasAttribute('aria-label')) {
+      sliderElement.setAttribute('aria-label', labels.region);
+    }
+
+    liveRegion = document.createElement('div');
+    liveRegion.className = 'visually-hidden';
+    liveRegion.setAttribute('aria-atomic', 'true');
+    sliderElement.appendChild(liveRegion);
+
+    pauseButtons.forEach(button => {
+      button.setAttribute('aria-label', labels.pause);
+      button.addEventListener('click', handlePauseClick);
+    });
+
+    // The markup can override the defaults with data-swiper attributes.
+    HeroSwiper = new Swiper(sliderElement, getSwiperOptions(sliderElement, {
       direction: 'horizontal',
       centeredSlides: true,
       slidesPerView: 1,
@@ -18,76 +186,75 @@ function SliderHero() {
         disableOnInteraction: false,
       },
       pagination: {
-        el: '.hero-pagination', // Important: Ensure this element also exists if the slider exists!
+        el: '.swiper-pagination', // Looked up inside this slider
         clickable: true,
       },
-      // Optional: Add an event listener in case Swiper itself throws errors
-      // on: {
-      //   init: function () {
-      //     console.log('HeroSwiper initialized');
-      //   },
-      //   slideChange: function () {
-      //     console.log('HeroSwiper slide changed');
-      //   },
-      // },
-    });
+      a11y: {
+        slideRole: 'group',
+        itemRoleDescriptionMessage: labels.slide,
+        slideLabelMessage: labels.status
+          .replace('{index}', '{{index}}')
+          .replace('{total}', '{{slidesLength}}'),
+      },
+      on: {
+        slideChange: handleSlideChange,
+      },
+    }));
 
-    let isPlaying = true;
-
-    // Find the pause buttons. It makes sense to do this only if the slider exists.
-    document.querySelectorAll('.swiper-slider-pause').forEach(button => {
-      // Ensure HeroSwiper exists before accessing it (should be guaranteed by the if block above)
-      button.addEventListener('click', function () {
-        if (isPlaying) {
-          HeroSwiper.autoplay.stop();
-          this.textContent = '▶'; // Play symbol
-          console.log('Swiper was stopped');
-        } else {
-          HeroSwiper.autoplay.start();
-          this.textContent = '⏸'; // Pause symbol
-          console.log('Swiper runs again');
-        }
-        isPlaying = !isPlaying;
-      });
-    });
+    // Swiper starts autoplay right away, the observer starts it once the
+    // slider is visible.
+    if (HeroSwiper.autoplay.running) {
+      HeroSwiper.autoplay.stop();
+    }
+
+    announceSlide();
+    updateAutoplay();
+    emit('slider:init', { element: sliderElement, index: HeroSwiper.realIndex });
+
+    sliderElement.addEventListener('mouseenter', handleMouseEnter);
+    sliderElement.addEventListener('mouseleave', handleMouseLeave);
+    sliderElement.addEventListener('focusin', handleFocusIn);
+    sliderElement.addEventListener('focusout', handleFocusOut);
+    reducedMotion.addEventListener('change', handleReducedMotionChange);
 
-    // Intersection Observer for autoplay - also only initialize if the slider exists
-    const observer = new IntersectionObserver((entries) => {
+    // Intersection Observer for autoplay
+    observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
-        // Check if HeroSwiper was initialized before accessing it
-        if (!HeroSwiper || !HeroSwiper.autoplay) return;
-
-        if (entry.isIntersecting) {
-          // Only start if isPlaying is true (i.e., the user hasn't manually paused)
-          if (isPlaying) {
-            HeroSwiper.autoplay.start();
-            console.log('Swiper is visible - autoplay running');
-          } else {
-             console.log('Swiper is visible - autoplay manually paused');
-          }
-        } else {
-          // Stop autoplay if the slider is not visible
-          HeroSwiper.autoplay.stop();
-          console.log('Swiper not visible - autoplay paused');
-        }
+        isVisible = entry.isIntersecting;
+        updateAutoplay();
       });
     }, { threshold: 0.2 }); // At least 20% of the slider must be visible
 
-    observer.observe(sliderElement); // Observe the found slider element
-
-  } else {
-    // --- The element does NOT exist - Do nothing or log a message ---
-    console.log("Element '.hero-slider' not found on this page. Skipping SliderHero initialization.");
-    // No explicit 'return' needed, the function simply ends here.
+    observer.observe(sliderElement);
   }
-}
 
+  function unmount() {
+    pauseButtons.forEach(button => {
+      button.removeEventListener('click', handlePauseClick);
+    });
 
-// Swiper initialize
-// This function is always called, but SliderHero decides internally whether there's anything to do.
-export default function init() {
-  SliderHero();
-  // Here you could call other initialization functions,
-  // which should perhaps also have such internal checks.
-  // AnotherFeatureInit();
-}
\ No newline at end of file
+    sliderElement.removeEventListener('mouseenter', handleMouseEnter);
+    sliderElement.removeEventListener('mouseleave', handleMouseLeave);
+    sliderElement.removeEventListener('focusin', handleFocusIn);
+    sliderElement.removeEventListener('focusout', handleFocusOut);
+    reducedMotion.removeEventListener('change', handleReducedMotionChange);
+
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+
+    if (HeroSwiper) {
+      HeroSwiper.destroy(true, true);
+      HeroSwiper = null;
+      emit('slider:destroy', { element: sliderElement });
+    }
+
+    if (liveRegion) {
+      liveRegion.remove();
+      liveRegion = null;
+    }
+  }
+
+  return { mount, unmount };
+}
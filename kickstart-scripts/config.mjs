@@ -15,6 +15,19 @@ export const config = {
    * @type {!string}
    */
   dirWorking: './',
+  /**
+   * The folder with the JSON and YAML data files, relative to dirWorking.
+   * Every file is available to the html build as data.[filename]. Schemas
+   * to validate them are placed in its _schemas subdirectory.
+   * @type {!string}
+   */
+  dirData: 'data',
+  /**
+   * The folder with the Markdown news posts, relative to dirWorking. Images
+   * of the posts are placed in its images subdirectory.
+   * @type {!string}
+   */
+  dirNews: 'content/news',
   /**
    * The path to the css assets in the build directory. We use an array to
    * prevent path separator issues. Don't forget to adjust this path in the
@@ -61,25 +74,154 @@ export const config = {
       stylelint: {},
     },
 
+    /**
+     * Content hashes in the filenames of the assets (prod mode only), e.g.
+     * assets/js/main.js becomes assets/js/main.1a2b3c4d.js. The mapping is
+     * written to the manifest.json of the build directory.
+     * @type {!Object}
+     */
+    fingerprint: {
+      /**
+       * Extensions of the files inside the build assets directory which
+       * get fingerprinted.
+       * @type {!Array<string>}
+       */
+      extensions: ['css', 'gif', 'ico', 'jpg', 'js', 'png', 'svg', 'webp'],
+      /** @type {!number} */
+      hashLength: 8,
+    },
+
     /** @type {!Object} */
     html: {
+      /**
+       * Components which are only included in dev mode. In prod mode their
+       * placeholders are removed before the html gets rendered.
+       * @type {!Array<string>}
+       */
+      devComponents: [
+        'sandbox-sitemap',
+      ],
       /** @type {!Object} */
       htmlMinify: {},
       /** @type {!Object} */
       htmlValidator: {},
       /** @type {!Object} */
       nodeMinify: {},
+      /**
+       * The order of the categories in the sandbox sitemap. Every root html
+       * file sets its category in the front matter (sitemap: Unterseiten)
+       * or via <meta name="sitemap-category" content="Unterseiten">.
+       * Pages without a category are listed as Unterseiten.
+       * @type {!Array<string>}
+       */
+      sitemapCategories: [
+        'Sandbox',
+        'Unterseiten',
+        'Inspiration',
+      ],
+    },
+
+    /** @type {!Object} */
+    feed: {
+      /**
+       * The author of all entries.
+       * @type {!string}
+       */
+      author: 'Goyatzer SV',
+      /** @type {!string} */
+      description: 'Neuigkeiten, Spielberichte und Termine des Goyatzer SV.',
+      /**
+       * The maximum number of posts in the feeds, newest first.
+       * @type {!number}
+       */
+      limit: 20,
+      /**
+       * Also used as title of the <link rel="alternate"> tags.
+       * @type {!string}
+       */
+      title: 'Goyatzer SV – Aktuelles',
+    },
+
+    /** @type {!Object} */
+    news: {
+      /**
+       * The labels of the departments a post can belong to.
+       * @type {!Object.<string, string>}
+       */
+      departments: {
+        football: 'Fußball',
+        tabletennis: 'Tischtennis',
+        tennis: 'Tennis',
+      },
+      /**
+       * The number of posts on every page of the news overview.
+       * @type {!number}
+       */
+      perPage: 6,
+      /**
+       * The number of latest posts shown on the start page.
+       * @type {!number}
+       */
+      teaserCount: 3,
     },
 
     /** @type {!Object} */
     js: {
       /** @type {!Object} */
       babel: {
-        /** @type {Array<string>} */
+        /**
+         * The targets are read from the browserslist of the package.json.
+         * @type {Array<string>}
+         */
         presets: [
           '@babel/preset-env',
         ]
       },
+      /**
+       * Bundles the modules of components/app with rollup, see js-bundle.
+       * @type {!Object}
+       */
+      bundle: {
+        /**
+         * The entry points, relative to components/app. Every entry becomes a
+         * bundle with the same name at the js assets directory, dynamic
+         * imports become chunks in its chunks subdirectory.
+         * @type {!Array<string>}
+         */
+        input: [
+          'main.js',
+        ],
+        /**
+         * The Sass map of the breakpoints, which the bundle gets as the module
+         * virtual:breakpoints. The file is relative to components/app.
+         * @type {!Object.<string, string>}
+         */
+        breakpoints: {
+          file: 'base/_variables.scss',
+          variable: 'breakpoints',
+        },
+        /** @type {!boolean} */
+        sourcemap: true,
+      },
+      /**
+       * Client-side error reports of _utilities/error-reporter.js, sent to
+       * the url of the build mode. An empty url switches the reporting off,
+       * js-bundle warns about it in prod mode. npm run errors starts a
+       * receiver printing the reports of the dev url.
+       * @type {!Object}
+       */
+      errorReporting: {
+        /**
+         * The website has no endpoint for error reports yet, so the live
+         * website doesn't report errors. Set prod to its url once there is
+         * one, e.g. 'https://example.org/api/errors'.
+         * @type {!Object.<string, string>}
+         */
+        url: {
+          dev: 'http://localhost:9797/errors',
+          prod: '',
+        },
+      },
       /** @type {!Object} */
       eslint: {},
       /** @type {!Object} */
@@ -98,6 +240,22 @@ export const config = {
       },
     },
 
+    /** @type {!Object} */
+    sitemap: {
+      /**
+       * Glob patterns of built html files, relative to dirBuild, which
+       * should not be indexed. They are left out of the sitemap.xml and
+       * disallowed in the robots.txt. Single pages can also opt out via
+       * <meta name="robots" content="noindex">.
+       * @type {!Array<string>}
+       */
+      exclude: [
+        'sandbox.html',
+        '*Karl.html',
+        '*-inspo.html',
+      ],
+    },
+
     /** @type {!Object} */
     statics: {
       /** @type {!Array<Object>} */
@@ -159,22 +317,25 @@ export const config = {
         },
         {
           options: {
-            sourceDir: './components/app/',
-            destinationDir: './build/assets/js/',
+            sourceDir: './node_modules/swiper/',
+            destinationDir: './build/assets/js/libs/',
             flatten: false,
           },
           files: [
-            '**/*.js',
+            'swiper-bundle.min.js',
           ],
         },
         {
           options: {
-            sourceDir: './node_modules/swiper/',
-            destinationDir: './build/assets/js/libs/',
-            flatten: false,
+            sourceDir: './content/news/images/',
+            destinationDir: './build/assets/img/news/',
+            flatten: true,
           },
           files: [
-            'swiper-bundle.min.js',
+            '**/*.jpg',
+            '**/*.png',
+            '**/*.gif',
+            '**/*.webp',
           ],
         },
       ],
@@ -248,11 +409,17 @@ export const configWatch = {
     'scss',
   ],
   /**
-   * All extensions which trigger the html build task.
+   * All extensions which trigger the html build task. The data extensions are
+   * only watched in the data and news directories and as default parameters
+   * of the components, see livereload.
    * @type {!Array<string>}
    */
   html: [
     'html',
+    'json',
+    'md',
+    'yaml',
+    'yml',
   ],
   /**
    * All extensions which trigger the js build task.
@@ -0,0 +1,111 @@
+/**
+ * Module to receive the client-side error reports of the dev build and print
+ * them to the console. It listens on the port of the dev url set in
+ * errorReporting of the config.
+ * @module error-receiver
+ * @requires chalk
+ * @requires config
+ * @requires http
+ * @author frontend@webit.de
+ */
+
+// External modules
+import chalk from 'chalk'; // https://github.com/chalk/chalk
+import http from 'http'; // https://nodejs.org/api/http.html
+
+// Self-written modules
+import { config } from './config.mjs';
+import { showError, showWarning } from './utility.mjs';
+
+/**
+ * The largest request body accepted, in bytes.
+ * @type {number}
+ */
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Prints a single report.
+ * @param {!Object} report - A report of _utilities/error-reporter.js
+ */
+const printReport = (report) => {
+  /** @type {string} */
+  const count = report.count > 1 ? chalk.yellow(` (${report.count}x)`) : '';
+  /** @type {string} */
+  const component = report.component ? chalk.cyan(`[${report.component}] `) : '';
+
+  console.log(`${chalk.gray(report.time)} ${component}${chalk.red(report.message)}${count}`);
+  console.log(chalk.gray(`  ${report.page}`));
+  console.log(chalk.gray(`  ${report.userAgent}`));
+
+  if (report.stack) {
+    console.log(chalk.gray(report.stack.replace(/^/gm, '  ')));
+  } else if (report.source) {
+    console.log(chalk.gray(`  at ${report.source}`));
+  }
+};
+
+try {
+  /** @type {string} */
+  const url = ((config.build.js.errorReporting || {}).url || {}).dev;
+
+  if (!url) {
+    throw new Error('There is no dev url in build.js.errorReporting of the config.');
+  }
+
+  /** @type {!URL} */
+  const endpoint = new URL(url);
+
+  /**
+   * @type {!http.Server}
+   */
+  const server = http.createServer((request, response) => {
+    // The pages are served from another origin than the receiver.
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+
+    if (request.method !== 'POST' || request.url !== endpoint.pathname) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    /** @type {string} */
+    let body = '';
+
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+
+      if (body.length > MAX_BODY_SIZE) {
+        response.writeHead(413).end();
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      try {
+        JSON.parse(body).reports.forEach(printReport);
+        response.writeHead(204).end();
+      } catch (error) {
+        showWarning(`Invalid error report: ${error.message}`);
+        response.writeHead(400).end();
+      }
+    });
+  });
+
+  // A failed listen, e.g. a port in use, leaves nothing running.
+  server.on('error', (error) => {
+    showError(error.message);
+    process.exitCode = 1;
+  });
+  server.listen(endpoint.port || 80, () => {
+    console.log(`Waiting for error reports on ${endpoint.href}`);
+  });
+} catch (error) {
+  showError(error.message);
+  process.exitCode = 1;
+}
@@ -8,8 +8,8 @@
  * @requires config
  * @requires fs
  * @requires livereload
+ * @requires path
  * @todo insert watch.add wildcards
- * @todo add additional extensions like json
  * @author Martin Hubrich (frontend@webit.de)
  */
 
@@ -19,6 +19,7 @@ import chokidar from 'chokidar'; // https://github.com/paulmillr/chokidar
 import fastGlob from 'fast-glob'; // https://github.com/mrmlnc/fast-glob
 import fs from 'fs'; // https://nodejs.org/api/fs.html
 import livereload from 'livereload'; // https://github.com/napcs/node-livereload
+import path from 'path'; // https://nodejs.org/api/path.html
 
 // Self-written modules
 import { config, configWatch } from './config.mjs';
@@ -31,6 +32,17 @@ import { showWarning, showError, showFileInfo, recolorScriptInfo  } from './util
  */
 const server = livereload.createServer();
 
+/**
+ * The Sass file of the breakpoints, which js-bundle compiles into the module
+ * virtual:breakpoints.
+ * @type {!string}
+ */
+const FILE_BREAKPOINTS = path.join(
+  'components',
+  'app',
+  (((config.build.js.bundle || {}).breakpoints || {}).file || 'base/_variables.scss')
+);
+
 /**
  * Starts the corresponding build module.
  * @param {!string} filepath - The path to the changed file
@@ -55,6 +67,11 @@ const triggerNodeScript = (filepath) => {
   } else {
     /** @type {!string} */
     const extension = filepath.substring(filepath.lastIndexOf('.') + 1).toLowerCase();
+    /**
+     * The breakpoints are part of the css and the js build.
+     * @type {!boolean}
+     */
+    const isBreakpoints = path.normalize(filepath) === FILE_BREAKPOINTS;
 
     // Evaluate the extension of the changed file and start the corresponding.
     // build process
@@ -68,7 +85,8 @@ const triggerNodeScript = (filepath) => {
 
       // If the changed file extension is part of the current corresponding
       // extension than execute it.
-      if (correspondingExtensions.includes(extension)) {
+      if (correspondingExtensions.includes(extension)
+        || (buildTask === 'js' && isBreakpoints)) {
         if (buildTask == 'js') {
           buildTask += ':watch'
         }
@@ -136,11 +154,25 @@ try {
     })
   });
 
+  /**
+   * The extensions of the data files and news posts, which are only watched
+   * where they're read from. The package.json or README.md of the root
+   * directory aren't sources of the build.
+   * @type {!Array<string>}
+   */
+  const dataExtensions = ['json', 'md', 'yaml', 'yml'];
+
   extensionsToWatch.forEach((extension) => {
-    watchFiles.push(`./*.${extension}`) // files directly inside root directory, not inside its subdirectories
-    watchFiles.push(`./components/**/*.${extension}`) // files directly inside components directory and inside subdirectories
+    if (!dataExtensions.includes(extension)) {
+      watchFiles.push(`./*.${extension}`) // files directly inside root directory, not inside its subdirectories
+      watchFiles.push(`./components/**/*.${extension}`) // files directly inside components directory and inside subdirectories
+    }
   });
 
+  watchFiles.push(`./${config.dirData || 'data'}/**/*.{json,yaml,yml}`) // data files and their schemas
+  watchFiles.push('./components/**/*.json') // default parameters of the components
+  watchFiles.push(`./${config.dirNews || 'content/news'}/*.md`) // news posts
+
   /**
    * Initialize chokidar watcher on our development files.
    * @type {Object}
@@ -0,0 +1,284 @@
+/**
+ * Module with one standalone function 'fingerprintAssets' to add a content
+ * hash to the filenames of the assets in the build directory and to rewrite
+ * every reference to them.
+ * @module assets-fingerprint
+ * @exports fingerprintAssets
+ * @requires config
+ * @requires crypto
+ * @requires fast-glob
+ * @requires fs
+ * @requires minimist
+ * @requires path
+ * @requires utility
+ */
+
+// External modules
+import crypto from 'crypto'; // https://nodejs.org/api/crypto.html
+import fastGlob from 'fast-glob'; // https://github.com/mrmlnc/fast-glob
+import fs from 'fs'; // https://nodejs.org/api/fs.html
+import minimist from 'minimist'; // https://github.com/substack/minimist
+import path from 'path'; // https://nodejs.org/api/path.html
+
+// Self-written modules
+import { config } from '../config.mjs';
+import {
+  getHomepage,
+  showFileInfo,
+  showScriptInfo,
+} from '../utility.mjs';
+
+/**
+ * Extensions of the files which can reference assets. Their references are
+ * rewritten before they get hashed themselves.
+ * @type {!Array<string>}
+ */
+const textExtensions = ['css', 'html', 'js', 'json', 'txt', 'xml'];
+
+
+/**
+ * Fingerprints the assets of the build directory in prod mode, after the
+ * scripts and stylesheets are minified. Every asset is hashed after the
+ * assets it references, e.g. a stylesheet after its images and main.js after
+ * its chunks and the Swiper bundle, so a changed asset also changes the hash
+ * of every file using it. Source maps are renamed along with their files.
+ * Afterwards the references in all html, xml and json files get rewritten.
+ * @function fingerprintAssets
+ * @public
+ */
+export function fingerprintAssets() {
+  /**
+   * Object containing the command line arguments passed when the Node.js
+   * process was launched.
+   * We are so careful that we set default values.
+   * @see https://github.com/substack/minimist#var-argv--parseargsargs-opts
+   * @type {!Object.<string, string>}
+   */
+  const parameter = minimist(process.argv.slice(2), {
+    default: {
+      dirBuild: 'build',
+      dirWorking: './',
+      mode: 'dev',
+    },
+  });
+
+  if (parameter.mode !== 'dev') { // Fixed filenames are easier to debug.
+    showScriptInfo(parameter.mode, 'assets-fingerprint', () => {
+      return new Promise((resolve, reject) => {
+        try {
+          /** @type {!string} */
+          const pathBuild = config.dirBuild || parameter.dirBuild;
+          /** @type {!string} */
+          const pathWorking = config.dirWorking || parameter.dirWorking;
+          /** @type {!Object} */
+          const fingerprintConfig = config.build.fingerprint || {};
+          /** @type {!Array<string>} */
+          const extensions = fingerprintConfig.extensions || [];
+          /** @type {!number} */
+          const hashLength = fingerprintConfig.hashLength || 8;
+          /** @type {!string} */
+          const homepage = getHomepage(pathWorking);
+          /** @type {!string} */
+          const fileManifest = path.join(pathBuild, 'manifest.json');
+          /**
+           * The original paths of the assets, relative to the build
+           * directory, mapped to their fingerprinted paths.
+           * @type {!Object.<string, string>}
+           */
+          const manifest = {};
+          /**
+           * Every token ending with an extension, e.g. the values of src,
+           * href and srcset attributes, url() values or import specifiers.
+           * @type {!RegExp}
+           */
+          const referencePattern = new RegExp(
+            `[^\\s"'\`()<>,=]+\\.(?:${extensions.join('|')})(?:[?#][^\\s"'\`()<>,]*)?(?=[\\s"'\`()<>,]|$)`,
+            'g'
+          );
+          /**
+           * All assets to fingerprint, relative to the build directory.
+           * @type {!Set<string>}
+           */
+          const assets = new Set(fastGlob.sync(
+            [`**/*.{${extensions.join(',')}}`],
+            // Already fingerprinted files are left as they are.
+            { cwd: pathBuild, ignore: [`**/*.${'[0-9a-f]'.repeat(hashLength)}.*`] }
+          ).map((fileEntry) => `${fileEntry}`));
+          /**
+           * The assets which are currently processed, to detect circular
+           * references.
+           * @type {!Set<string>}
+           */
+          const processing = new Set();
+
+          /**
+           * Resolves a reference of a file to an asset path relative to the
+           * build directory.
+           * @param {!string} reference - The reference without query and hash
+           * @param {!string} file - The referencing file
+           * @return {?string}
+           */
+          const resolveReference = (reference, file) => {
+            if (reference.startsWith(homepage)) {
+              return reference.slice(homepage.length);
+            }
+
+            if (/^[a-z][\w+.-]*:/i.test(reference)) {
+              return null; // External urls and data uris.
+            }
+
+            if (reference.startsWith('/')) {
+              return path.posix.normalize(reference.slice(1));
+            }
+
+            return path.posix.normalize(
+              path.posix.join(path.posix.dirname(file), reference)
+            );
+          };
+
+          /**
+           * Replaces every reference of a text file with the fingerprinted
+           * path. Referenced assets get fingerprinted first.
+           * @param {!string} content - The content of the file
+           * @param {!string} file - The file, relative to the build directory
+           * @return {!string}
+           */
+          const rewriteReferences = (content, file) => {
+            return content.replace(referencePattern, (reference) => {
+              /** @type {!Array<string>} */
+              const [referencePath, suffix = ''] =
+                reference.split(/(?=[?#])/, 2);
+              /** @type {?string} */
+              const asset = resolveReference(referencePath, file);
+
+              if (!asset || !assets.has(asset)) {
+                return reference;
+              }
+
+              // The hash of a file depends on the hashes of its references,
+              // which can't be computed for a circle.
+              if (processing.has(asset)) {
+                throw new Error(`Circular reference between ${file} and ${asset}`);
+              }
+
+              /** @type {!string} */
+              const fingerprintedAsset = fingerprint(asset);
+
+              // Only the filename changes, so the reference keeps its form
+              // (relative, absolute or with the homepage).
+              return referencePath.replace(
+                /[^/]+$/,
+                path.posix.basename(fingerprintedAsset)
+              ) + suffix;
+            });
+          };
+
+          /**
+           * Renames an asset to its fingerprinted filename.
+           * @param {!string} asset - The asset, relative to the build directory
+           * @return {!string} The fingerprinted path
+           */
+          const fingerprint = (asset) => {
+            if (manifest[asset]) {
+              return manifest[asset];
+            }
+
+            /** @type {!string} */
+            const filepath = path.join(pathBuild, asset);
+            /** @type {!Buffer|string} */
+            let content = fs.readFileSync(filepath);
+
+            if (textExtensions.includes(path.extname(asset).slice(1))) {
+              processing.add(asset);
+              content = rewriteReferences(content.toString('utf8'), asset);
+              processing.delete(asset);
+            }
+
+            /** @type {!string} */
+            const hash = crypto.createHash('sha256')
+              .update(content)
+              .digest('hex')
+              .slice(0, hashLength);
+            /** @type {!string} */
+            const extension = path.posix.extname(asset);
+
+            manifest[asset] = `${asset.slice(0, -extension.length)}.${hash}${extension}`;
+
+            /** @type {!string} */
+            const filepathMap = `${filepath}.map`;
+
+            // The source map is renamed along with its file, so the file
+            // refers to the new name.
+            if (fs.existsSync(filepathMap)) {
+              /** @type {!Object} */
+              const sourceMap = JSON.parse(fs.readFileSync(filepathMap, { encoding: 'utf8' }));
+
+              sourceMap.file = path.posix.basename(manifest[asset]);
+              fs.writeFileSync(
+                path.join(pathBuild, `${manifest[asset]}.map`),
+                JSON.stringify(sourceMap)
+              );
+              fs.unlinkSync(filepathMap);
+
+              content = content.toString('utf8').replace(
+                /([#@] sourceMappingURL=).*?(\s*(?:\*\/)?\s*)$/,
+                `$1${sourceMap.file}.map$2`
+              );
+            }
+
+            fs.writeFileSync(path.join(pathBuild, manifest[asset]), content);
+            fs.unlinkSync(filepath);
+
+            // Displays a console message.
+            showFileInfo(
+              parameter.mode,
+              filepath,
+              'writeto',
+              path.join(pathBuild, manifest[asset])
+            );
+
+            return manifest[asset];
+          };
+
+          assets.forEach(fingerprint);
+
+          // Rewrites the pages, feeds and other text files of the build
+          // directory which aren't assets themselves.
+          fastGlob.sync(
+            [`**/*.{${textExtensions.join(',')}}`],
+            { cwd: pathBuild, ignore: ['manifest.json'] }
+          ).forEach((fileEntry) => {
+            /** @type {!string} */
+            const file = `${fileEntry}`;
+
+            if (assets.has(file) || Object.values(manifest).includes(file)) {
+              return;
+            }
+
+            /** @type {!string} */
+            const filepath = path.join(pathBuild, file);
+            /** @type {!string} */
+            const content = fs.readFileSync(filepath, { encoding: 'utf8' });
+            /** @type {!string} */
+            const contentRewritten = rewriteReferences(content, file);
+
+            if (content !== contentRewritten) {
+              fs.writeFileSync(filepath, contentRewritten);
+              showFileInfo(parameter.mode, filepath, 'write');
+            }
+          });
+
+          fs.writeFileSync(fileManifest, `${JSON.stringify(manifest, null, 2)}\n`);
+          showFileInfo(parameter.mode, fileManifest, 'write');
+
+          resolve();
+        } catch (error) {
+          // On a unpredictable we reject with the error message.
+          reject(error);
+        }
+      });
+    });
+  }
+}
+
+fingerprintAssets(); // Always run fingerprintAssets on module execution.
@@ -0,0 +1,196 @@
+/**
+ * Module with one standalone function 'generateFeeds' to write the news posts
+ * as Atom feed (feed.xml) and JSON Feed (feed.json) into the build root
+ * directory.
+ * @module feed-generate
+ * @exports generateFeeds
+ * @requires config
+ * @requires fs
+ * @requires minimist
+ * @requires path
+ * @requires utility
+ */
+
+// External modules
+import fs from 'fs'; // https://nodejs.org/api/fs.html
+import minimist from 'minimist'; // https://github.com/substack/minimist
+import path from 'path'; // https://nodejs.org/api/path.html
+
+// Self-written modules
+import { config } from '../config.mjs';
+import {
+  escapeHtml,
+  getHomepage,
+  loadNews,
+  showFileInfo,
+  showScriptInfo,
+} from '../utility.mjs';
+
+/**
+ * The mime types of the post images, used for the Atom enclosures.
+ * @type {!Object.<string, string>}
+ */
+const imageTypes = {
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+
+/**
+ * Generates the Atom and JSON feed of the news posts. All urls are absolute,
+ * based on the homepage field of the package.json.
+ * @function generateFeeds
+ * @public
+ * @see https://validator.w3.org/feed/docs/atom.html
+ * @see https://www.jsonfeed.org/version/1.1/
+ */
+export function generateFeeds() {
+  /**
+   * Object containing the command line arguments passed when the Node.js
+   * process was launched.
+   * We are so careful that we set default values.
+   * @see https://github.com/substack/minimist#var-argv--parseargsargs-opts
+   * @type {!Object.<string, string>}
+   */
+  const parameter = minimist(process.argv.slice(2), {
+    default: {
+      dirBuild: 'build',
+      dirWorking: './',
+      mode: 'dev',
+    },
+  });
+
+  showScriptInfo(parameter.mode, 'feed-generate', () => {
+    return new Promise((resolve, reject) => {
+      try {
+        /** @type {!string} */
+        const pathBuild = config.dirBuild || parameter.dirBuild;
+        /** @type {!string} */
+        const pathWorking = config.dirWorking || parameter.dirWorking;
+        /** @type {!Object} */
+        const feedConfig = config.build.feed || {};
+        /** @type {!string} */
+        const homepage = getHomepage(pathWorking);
+        /** @type {!Array<Object>} */
+        const posts = loadNews(
+          path.join(pathWorking, config.dirNews || 'content/news')
+        ).slice(0, feedConfig.limit || 20);
+        /** @type {!string} */
+        const title = feedConfig.title || 'News';
+        /** @type {!string} */
+        const author = feedConfig.author || title;
+        /**
+         * Posts only have a day, so every timestamp is midnight UTC.
+         * @type {!string}
+         */
+        const updated = `${posts.length ? posts[0].date : '1970-01-01'}T00:00:00Z`;
+        /** @type {!string} */
+        const fileAtom = path.join(pathBuild, 'feed.xml');
+        /** @type {!string} */
+        const fileJson = path.join(pathBuild, 'feed.json');
+
+        /** @type {!Array<string>} */
+        const atomEntries = posts.map((post) => {
+          /** @type {!Array<string>} */
+          const entry = [
+            `  <entry>`,
+            `    <title>${escapeHtml(post.title)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeHtml(homepage + post.url)}"/>`,
+            `    <id>${escapeHtml(homepage + post.url)}</id>`,
+            `    <published>${post.date}T00:00:00Z</published>`,
+            `    <updated>${post.date}T00:00:00Z</updated>`,
+            `    <summary>${escapeHtml(post.excerpt)}</summary>`,
+            `    <content type="html">${escapeHtml(post.html)}</content>`,
+          ];
+
+          if (post.department) {
+            entry.push(`    <category term="${escapeHtml(post.department)}" label="${escapeHtml(post.departmentLabel)}"/>`);
+          }
+
+          if (post.image) {
+            /** @type {!string} */
+            const extension = post.image.split('.').pop().toLowerCase();
+            /** @type {number} */
+            const length = fs.existsSync(path.join(pathBuild, post.image))
+              ? fs.statSync(path.join(pathBuild, post.image)).size
+              : 0;
+
+            entry.push(`    <link rel="enclosure" type="${imageTypes[extension] || 'image/*'}" length="${length}" href="${escapeHtml(homepage + post.image)}"/>`);
+          }
+
+          entry.push(`  </entry>`);
+
+          return entry.join('\n');
+        });
+
+        /** @type {!string} */
+        const atom = [
+          `<?xml version="1.0" encoding="utf-8"?>`,
+          // The base resolves relative links inside the post contents.
+          `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="de" xml:base="${escapeHtml(homepage)}">`,
+          `  <title>${escapeHtml(title)}</title>`,
+          `  <subtitle>${escapeHtml(feedConfig.description || '')}</subtitle>`,
+          `  <link rel="self" type="application/atom+xml" href="${escapeHtml(homepage)}feed.xml"/>`,
+          `  <link rel="alternate" type="text/html" href="${escapeHtml(homepage)}news.html"/>`,
+          `  <id>${escapeHtml(homepage)}</id>`,
+          `  <updated>${updated}</updated>`,
+          `  <author><name>${escapeHtml(author)}</name></author>`,
+          ...atomEntries,
+          `</feed>`,
+          ``,
+        ].join('\n');
+
+        /** @type {!Object} */
+        const json = {
+          version: 'https://jsonfeed.org/version/1.1',
+          title,
+          home_page_url: `${homepage}news.html`,
+          feed_url: `${homepage}feed.json`,
+          description: feedConfig.description || '',
+          language: 'de',
+          authors: [{ name: author }],
+          items: posts.map((post) => {
+            /** @type {!Object} */
+            const item = {
+              id: homepage + post.url,
+              url: homepage + post.url,
+              title: post.title,
+              content_html: post.html,
+              summary: post.excerpt,
+              date_published: `${post.date}T00:00:00Z`,
+            };
+
+            if (post.image) {
+              item.image = homepage + post.image;
+            }
+
+            if (post.department) {
+              item.tags = [post.departmentLabel];
+            }
+
+            return item;
+          }),
+        };
+
+        if (!fs.existsSync(pathBuild)) {
+          fs.mkdirSync(pathBuild, { recursive: true });
+        }
+
+        fs.writeFileSync(fileAtom, atom);
+        showFileInfo(parameter.mode, fileAtom, 'write');
+
+        fs.writeFileSync(fileJson, `${JSON.stringify(json, null, 2)}\n`);
+        showFileInfo(parameter.mode, fileJson, 'write');
+
+        resolve();
+      } catch (error) {
+        // On a unpredictable we reject with the error message.
+        reject(error);
+      }
+    });
+  });
+}
+
+generateFeeds(); // Always run generateFeeds on module execution.
@@ -19,6 +19,9 @@ import path from 'path'; // https://nodejs.org/api/path.html
 // Self-written modules
 import { config } from '../config.mjs';
 import {
+  insertFeedLinks,
+  loadTemplateData,
+  removeComponents,
   replacePlaceholder,
   showFileInfo,
   showScriptInfo,
@@ -53,6 +56,19 @@ export function replaceHtml() {
         const pathBuild = config.dirBuild || parameter.dirBuild;
         /** @type {!string} */
         const pathWorking = config.dirWorking || parameter.dirWorking;
+        /**
+         * The data available to every page and component as data.*.
+         * @type {!Object}
+         */
+        const data = loadTemplateData(pathWorking);
+
+        /**
+         * The rendered pages by their destination. They're written once all
+         * of them rendered, so an error like a missing parameter doesn't
+         * leave a half updated build directory.
+         * @type {!Map<string, string>}
+         */
+        const pages = new Map();
 
         // Iterates through all files located at the working root directory.
         // The option 'encoding' ensure that we only receive the paths as
@@ -72,18 +88,34 @@ export function replaceHtml() {
              */
             let htmlCode = fs.readFileSync(fileSource, { encoding: 'utf8' });
 
+            // Components for the development only never ship to visitors.
+            if (parameter.mode === 'prod') {
+              htmlCode = removeComponents(
+                htmlCode,
+                config.build.html.devComponents || []
+              );
+            }
+
             // Replaces placeholders with a self-written placeholder function.
-            htmlCode = replacePlaceholder(htmlCode);
+            // The page itself starts the include chain.
+            htmlCode = replacePlaceholder(htmlCode, { data }, [fileSource]);
+
+            // Lets browsers and feed readers discover the news feeds.
+            htmlCode = insertFeedLinks(htmlCode);
 
             // Displays a console message.
             showFileInfo(parameter.mode, fileSource, 'writeto', fileDestination);
 
-            // Writes the new html code into the new file located at the build
-            // directory.
-            fs.writeFileSync(fileDestination, htmlCode.toString());
+            pages.set(fileDestination, htmlCode.toString());
           }
         });
 
+        // Writes the new html code into the new files located at the build
+        // directory.
+        pages.forEach((htmlCode, fileDestination) => {
+          fs.writeFileSync(fileDestination, htmlCode);
+        });
+
         // After copying every file we can resolve the promise.
         resolve();
       } catch (error) {
@@ -0,0 +1,258 @@
+/**
+ * Module with one standalone function 'bundleJs' to bundle the JavaScript
+ * modules of the components directory into the build directory.
+ * @module js-bundle
+ * @exports bundleJs
+ * @requires @rollup/plugin-babel
+ * @requires config
+ * @requires minimist
+ * @requires path
+ * @requires rollup
+ * @requires sass
+ * @requires utility
+ */
+
+// External modules
+import { babel } from '@rollup/plugin-babel'; // https://github.com/rollup/plugins/tree/master/packages/babel
+import minimist from 'minimist'; // https://github.com/substack/minimist
+import path from 'path'; // https://nodejs.org/api/path.html
+import { rollup } from 'rollup'; // https://rollupjs.org/javascript-api/
+import * as sass from 'sass'; // https://github.com/sass/sass
+
+// Self-written modules
+import { config } from '../config.mjs';
+import { showFileInfo, showScriptInfo, showWarning } from '../utility.mjs';
+
+
+/**
+ * Compiles a Sass map of breakpoints into custom properties and reads them
+ * back from the css, so the JavaScript uses the same widths as the media
+ * queries of the styles.
+ * @function getBreakpoints
+ * @param {string} file - The Sass file containing the map
+ * @param {string} variable - The name of the map without $
+ * @return {!Object.<string, number>} The widths by name, e.g. { phone: 850 }
+ */
+function getBreakpoints(file, variable) {
+  /** @type {string} */
+  const name = path.basename(file, '.scss').replace(/^_/, '');
+  /** @type {!Object.<string, number>} */
+  const breakpoints = {};
+  /** @type {string} */
+  const { css } = sass.compileString([
+    `@use "${name}" as variables;`,
+    ':root {',
+    `  @each $name, $width in variables.$${variable} { --#{$name}: #{$width}; }`,
+    '}',
+  ].join('\n'), { loadPaths: [path.dirname(file)] });
+
+  for (const [, breakpoint, value] of css.matchAll(/--([\w-]+):\s*([^;]+);/g)) {
+    if (!/^\d+(\.\d+)?px$/.test(value.trim())) {
+      throw new Error(`${file}: the breakpoint ${breakpoint} isn't a width in px but ${value}`);
+    }
+
+    breakpoints[breakpoint] = parseFloat(value);
+  }
+
+  return breakpoints;
+}
+
+
+/**
+ * Babel plugin removing the debug calls of the loggers, e.g. log.debug(…),
+ * for prod builds. A logger is recognized by its origin, a call of the
+ * createLogger function imported from logger.js, not by its name.
+ * @function stripDebugCallsPlugin
+ * @return {!Object} The babel plugin
+ */
+function stripDebugCallsPlugin() {
+  /**
+   * @param {!Object} binding - The babel binding of the called function
+   * @return {boolean} If it's the createLogger import of the logger module
+   */
+  const isCreateLogger = (binding) => Boolean(binding)
+    && binding.kind === 'module'
+    && binding.path.isImportSpecifier()
+    && binding.path.node.imported.name === 'createLogger'
+    && /(^|\/)logger\.js$/.test(binding.path.parent.source.value);
+
+  /**
+   * @param {!Object} binding - The babel binding of the logger variable
+   * @return {boolean} If it's initialized with createLogger(…)
+   */
+  const isLogger = (binding) => Boolean(binding)
+    && binding.path.isVariableDeclarator()
+    && binding.path.get('init').isCallExpression()
+    && binding.path.get('init.callee').isIdentifier()
+    && isCreateLogger(binding.path.scope.getBinding(binding.path.node.init.callee.name));
+
+  return {
+    name: 'strip-debug-calls',
+    visitor: {
+      CallExpression(callPath) {
+        /** @type {!Object} */
+        const callee = callPath.get('callee');
+
+        if (!callee.isMemberExpression() || callee.node.computed
+          || callee.node.property.name !== 'debug'
+          || !callee.get('object').isIdentifier()
+          || !isLogger(callPath.scope.getBinding(callee.node.object.name))) {
+          return;
+        }
+
+        // The logger returns nothing, so a call used as a value becomes
+        // undefined.
+        if (callPath.parentPath.isExpressionStatement()) {
+          callPath.parentPath.remove();
+        } else {
+          callPath.replaceWithSourceString('void 0');
+        }
+      },
+    },
+  };
+}
+
+
+/**
+ * Rollup plugin providing modules generated at build time, which the
+ * components import by their id, e.g. import BREAKPOINTS from
+ * 'virtual:breakpoints'.
+ * @function virtualModulesPlugin
+ * @param {!Object.<string, function(): string>} modules - The functions
+ *     returning the source of each module by its id, called with the rollup
+ *     plugin context
+ * @return {!Object} The rollup plugin
+ */
+function virtualModulesPlugin(modules) {
+  return {
+    name: 'virtual-modules',
+    // The \0 prefix keeps other plugins like babel from touching the modules.
+    resolveId: (id) => (Object.hasOwn(modules, id) ? `\0${id}` : null),
+    load(id) {
+      /** @type {string} */
+      const key = id.slice(1);
+
+      return id.startsWith('\0') && Object.hasOwn(modules, key) ?
+        modules[key].call(this) : null;
+    },
+  };
+}
+
+
+/**
+ * Resolves the import graph of every configured entry point and writes it as
+ * one ES module bundle (plus chunks for dynamic imports) with source maps.
+ * The code is transpiled by babel for the browserslist of the package.json.
+ * @function bundleJs
+ * @public
+ */
+export function bundleJs() {
+  /**
+   * Object containing the command line arguments passed when the Node.js
+   * process was launched.
+   * We are so careful that we set default values.
+   * @see https://github.com/substack/minimist#var-argv--parseargsargs-opts
+   * @type {!Object.<string, string>}
+   */
+  const parameter = minimist(process.argv.slice(2), {
+    default: {
+      dirBuild: 'build',
+      dirWorking: './',
+      mode: 'dev',
+    },
+  });
+
+  showScriptInfo(parameter.mode, 'js-bundle', () => {
+    return new Promise((resolve, reject) => {
+      /** @type {!Object} */
+      const configBundle = config.build.js.bundle || {};
+      /** @type {!string} */
+      const pathBuild = config.dirBuild || parameter.dirBuild;
+      /** @type {!string} */
+      const pathWorking = config.dirWorking || parameter.dirWorking;
+      /** @type {!string} */
+      const pathBuildJs = path.join(pathBuild, ...config.dirAssetsJs);
+      /** @type {!string} */
+      const pathComponents = path.join(pathWorking, 'components', 'app');
+      /** @type {!Object.<string, string>} */
+      const configBreakpoints = configBundle.breakpoints || {};
+      /** @type {!Object.<string, string>} */
+      const errorReportingUrls = (config.build.js.errorReporting || {}).url || {};
+
+      if (parameter.mode === 'prod' && !errorReportingUrls.prod) {
+        showWarning('There is no prod url in build.js.errorReporting of the config, the website won\'t report errors.');
+      }
+      /** @type {!string} */
+      const pathBreakpoints = path.join(
+        pathComponents,
+        configBreakpoints.file || 'base/_variables.scss'
+      );
+
+      rollup({
+        input: (configBundle.input || ['main.js'])
+          .map((file) => path.join(pathComponents, file)),
+        plugins: [
+          virtualModulesPlugin({
+            // The build mode, e.g. for the log level of the logger, and the
+            // url the error reports of this mode are sent to.
+            'virtual:build': () => [
+              `export const mode = ${JSON.stringify(parameter.mode)};`,
+              `export const errorReportUrl = ${JSON.stringify(errorReportingUrls[parameter.mode] || '')};`,
+            ].join('\n'),
+            // The breakpoints of the Sass variables by name.
+            'virtual:breakpoints': function () {
+              this.addWatchFile(pathBreakpoints);
+
+              return `export default ${JSON.stringify(getBreakpoints(
+                pathBreakpoints,
+                configBreakpoints.variable || 'breakpoints'
+              ))};`;
+            },
+          }),
+          babel({
+            ...config.build.js.babel,
+            // The debug output is for development only.
+            plugins: [
+              ...(config.build.js.babel.plugins || []),
+              ...(parameter.mode === 'dev' ? [] : [stripDebugCallsPlugin]),
+            ],
+            babelHelpers: 'bundled',
+            babelrc: false,
+            configFile: false,
+          }),
+        ],
+        // Shows warnings like unresolved imports without stopping the build.
+        onwarn: (warning) => showWarning(warning.message),
+      })
+        .then((bundle) => bundle.write({
+          chunkFileNames: 'chunks/[name].js',
+          dir: pathBuildJs,
+          entryFileNames: '[name].js',
+          format: 'es',
+          // The utilities and generated modules are shared by the entry and
+          // the components. Without their own chunk rollup puts them into
+          // the entry, so the components would import main.js.
+          manualChunks: (id) => (
+            id.startsWith('\0') || id.includes(`${path.sep}_utilities${path.sep}`) ?
+              'utilities' : undefined
+          ),
+          sourcemap: configBundle.sourcemap !== false,
+        }).finally(() => bundle.close()))
+        .then(({ output }) => {
+          output.forEach((outputEntry) => {
+            showFileInfo(
+              parameter.mode,
+              path.join(pathBuildJs, outputEntry.fileName),
+              'write'
+            );
+          });
+
+          resolve();
+        })
+        // Syntax errors and missing modules stop the build.
+        .catch(reject);
+    });
+  });
+}
+
+bundleJs(); // Always run bundleJs on module execution.
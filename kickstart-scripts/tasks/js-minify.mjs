@@ -1,12 +1,15 @@
 /**
  * Module with one standalone function 'minifyJs' to minify all js files in the
  * build directory.
+ * The debug calls of the loggers are already removed by js-bundle, where the
+ * imports still show which variables are loggers.
  * @module js-minify
  * @exports minifyJs
  * @requires @node-minify/core
  * @requires @node-minify/uglify-es
  * @requires config
  * @requires fast-glob
+ * @requires fs
  * @requires minimist
  * @requires path
  * @requires utility
@@ -16,6 +19,7 @@
 
 // External modules
 import fastGlob from 'fast-glob'; // https://github.com/mrmlnc/fast-glob
+import fs from 'fs'; // https://nodejs.org/api/fs.html
 import minify from '@node-minify/core'; // https://github.com/srod/node-minify
 import minimist from 'minimist'; // https://github.com/substack/minimist
 import path from 'path'; // https://nodejs.org/api/path.html
@@ -86,6 +90,33 @@ export function minifyJs() {
               output: filepath,
               sync: true,
             };
+            /**
+             * The source map written by js-bundle, if there is one.
+             * @type {!string}
+             */
+            const filepathMap = `${filepath}.map`;
+            /** @type {!boolean} */
+            const hasSourceMap = fs.existsSync(filepathMap);
+            /** @type {!Object} */
+            let configJsMinifyUser = configJsMinify;
+
+            // Continues the source map of the bundle, so it still points to
+            // the original modules. Terser writes the new map to its url.
+            // The async mode ensures the file is written when the promise
+            // resolves, so we can correct its sourceMappingURL afterwards.
+            if (hasSourceMap) {
+              configJsMinifyUser = {
+                ...configJsMinify,
+                sync: false,
+                options: {
+                  ...configJsMinify.options,
+                  sourceMap: {
+                    content: fs.readFileSync(filepathMap, { encoding: 'utf8' }),
+                    url: filepathMap,
+                  },
+                },
+              };
+            }
 
             /**
              * Runs the minifier and saves the responding promise into a
@@ -96,12 +127,23 @@ export function minifyJs() {
              */
             const minifyPromise = minify({
               ...configJsMinifyStatic,
-              ...configJsMinify,
+              ...configJsMinifyUser,
             });
 
             // Evaluates promise of node-minify process.
             minifyPromise.then(
               () => {
+                // The url of the map is a path from the working directory,
+                // but the browser resolves it relative to the js file.
+                if (hasSourceMap) {
+                  fs.writeFileSync(filepath, fs.readFileSync(filepath, {
+                    encoding: 'utf8',
+                  }).replace(
+                    /(\/\/# sourceMappingURL=).*$/,
+                    `$1${path.basename(filepathMap)}`
+                  ));
+                }
+
                 // Displays a console message.
                 showFileInfo(parameter.mode, filepath, 'write');
               },
@@ -0,0 +1,146 @@
+/**
+ * Module with one standalone function 'compileNews' to render the Markdown
+ * news posts into a detail page per post and a paginated overview in the
+ * build root directory.
+ * @module news-compile
+ * @exports compileNews
+ * @requires config
+ * @requires fs
+ * @requires minimist
+ * @requires path
+ * @requires utility
+ */
+
+// External modules
+import fs from 'fs'; // https://nodejs.org/api/fs.html
+import minimist from 'minimist'; // https://github.com/substack/minimist
+import path from 'path'; // https://nodejs.org/api/path.html
+
+// Self-written modules
+import { config } from '../config.mjs';
+import {
+  insertFeedLinks,
+  loadTemplateData,
+  removeComponents,
+  replacePlaceholder,
+  showFileInfo,
+  showScriptInfo,
+} from '../utility.mjs';
+
+
+/**
+ * Renders the news detail pages and the overview pages news.html,
+ * news-2.html, … with the templates of the news component.
+ * @function compileNews
+ * @public
+ */
+export function compileNews() {
+  /**
+   * Object containing the command line arguments passed when the Node.js
+   * process was launched.
+   * We are so careful that we set default values.
+   * @see https://github.com/substack/minimist#var-argv--parseargsargs-opts
+   * @type {!Object.<string, string>}
+   */
+  const parameter = minimist(process.argv.slice(2), {
+    default: {
+      dirBuild: 'build',
+      dirWorking: './',
+      mode: 'dev',
+    },
+  });
+
+  showScriptInfo(parameter.mode, 'news-compile', () => {
+    return new Promise((resolve, reject) => {
+      try {
+        /** @type {!string} */
+        const pathBuild = config.dirBuild || parameter.dirBuild;
+        /** @type {!string} */
+        const pathWorking = config.dirWorking || parameter.dirWorking;
+        /** @type {!Object} */
+        const newsConfig = config.build.news || {};
+        /** @type {!number} */
+        const perPage = newsConfig.perPage || 6;
+        /** @type {!string} */
+        const pathTemplates = path.join(pathWorking, 'components', 'app', 'news');
+        /** @type {!Object} */
+        const data = loadTemplateData(pathWorking);
+        /** @type {!Array<Object>} */
+        const posts = data.news.posts;
+        /** @type {!number} */
+        const total = Math.max(1, Math.ceil(posts.length / perPage));
+
+        /**
+         * Returns the filename of an overview page, the first one is
+         * news.html.
+         * @param {!number} page - The page number starting with 1
+         * @return {!string}
+         */
+        const getOverviewFile = (page) => page === 1 ? 'news.html' : `news-${page}.html`;
+
+        /**
+         * Renders a template of the news component into the build directory.
+         * @param {!string} template - The filename of the template
+         * @param {!string} file - The filename inside the build directory
+         * @param {!Object} scope - The values available to the template
+         */
+        const writePage = (template, file, scope) => {
+          /** @type {!string} */
+          const fileSource = path.join(pathTemplates, template);
+          /** @type {!string} */
+          const fileDestination = path.join(pathBuild, file);
+          /** @type {!string} */
+          let htmlCode = fs.readFileSync(fileSource, { encoding: 'utf8' });
+
+          // Components for the development only never ship to visitors.
+          if (parameter.mode === 'prod') {
+            htmlCode = removeComponents(
+              htmlCode,
+              config.build.html.devComponents || []
+            );
+          }
+
+          htmlCode = insertFeedLinks(
+            replacePlaceholder(htmlCode, { ...scope, data }, [fileSource])
+          );
+
+          // Displays a console message.
+          showFileInfo(parameter.mode, fileSource, 'writeto', fileDestination);
+
+          fs.writeFileSync(fileDestination, htmlCode);
+        };
+
+        if (!fs.existsSync(pathBuild)) {
+          fs.mkdirSync(pathBuild, { recursive: true });
+        }
+
+        for (let page = 1; page <= total; page++) {
+          writePage('news-overview.html', getOverviewFile(page), {
+            pagination: {
+              current: page,
+              next: page < total ? getOverviewFile(page + 1) : null,
+              previous: page > 1 ? getOverviewFile(page - 1) : null,
+              total,
+            },
+            posts: posts.slice((page - 1) * perPage, page * perPage),
+          });
+        }
+
+        posts.forEach((post, index) => {
+          writePage('news-detail.html', post.url, {
+            // Links back to the overview page listing the post.
+            overview: getOverviewFile(Math.floor(index / perPage) + 1),
+            post,
+          });
+        });
+
+        resolve();
+      } catch (error) {
+        // On a unpredictable we reject with the error message.
+        reject(error);
+      }
+    });
+  });
+}
+
+compileNews(); // Always run compileNews on module execution.
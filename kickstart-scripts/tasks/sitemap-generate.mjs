@@ -0,0 +1,287 @@
+/**
+ * Module with one standalone function 'generateSitemap' to write a
+ * sitemap.xml and a robots.txt for the html files of the build directory.
+ * @module sitemap-generate
+ * @exports generateSitemap
+ * @requires child_process
+ * @requires config
+ * @requires fast-glob
+ * @requires fs
+ * @requires minimist
+ * @requires path
+ * @requires utility
+ */
+
+// External modules
+import child_process from 'child_process'; // https://nodejs.org/api/child_process.html
+import fastGlob from 'fast-glob'; // https://github.com/mrmlnc/fast-glob
+import fs from 'fs'; // https://nodejs.org/api/fs.html
+import minimist from 'minimist'; // https://github.com/substack/minimist
+import path from 'path'; // https://nodejs.org/api/path.html
+
+// Self-written modules
+import { config } from '../config.mjs';
+import {
+  escapeHtml,
+  getHomepage,
+  showFileInfo,
+  showScriptInfo,
+} from '../utility.mjs';
+
+
+/**
+ * Returns the date of the last commit changing one of the files, or null if
+ * none of them is committed or git isn't available.
+ * @function getGitDate
+ * @private
+ * @param {!Array<string>} filepaths - The paths to the files or directories
+ * @return {?string}
+ */
+function getGitDate(filepaths) {
+  try {
+    /** @type {!string} */
+    const date = child_process.execFileSync(
+      'git',
+      ['log', '-1', '--format=%cI', '--', ...filepaths],
+      { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+    ).trim();
+
+    return date || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Collects the files a page or component is rendered from: the file itself,
+ * the components it includes with their default parameters and the sources
+ * of the data.* values it uses. See replacePlaceholder of the utility.
+ * @function getDependencies
+ * @private
+ * @param {!string} filepath - The path to the html file
+ * @param {!Object} context - The working directory, the components left out
+ *     in this mode and the dependencies collected so far
+ * @return {!Set<string>} The paths of the existing files and directories
+ */
+function getDependencies(filepath, context) {
+  /** @type {!Set<string>} */
+  const dependencies = context.dependencies || new Set();
+
+  if (dependencies.has(filepath) || !fs.existsSync(filepath)) {
+    return dependencies;
+  }
+
+  /** @type {!string} */
+  const content = fs.readFileSync(filepath, { encoding: 'utf8' });
+  /** @type {!string} */
+  const dirData = path.join(context.pathWorking, config.dirData || 'data');
+
+  dependencies.add(filepath);
+
+  for (const [, type, folder, file = folder] of content.matchAll(
+    /{(app|deferred|svg):{([\w-]+)(?::{([\w-]+))?/g
+  )) {
+    if (type === 'app' && context.removedComponents.includes(folder)) {
+      continue;
+    }
+
+    /** @type {!string} */
+    const filepathInclude = path.join(
+      context.pathWorking,
+      'components',
+      type === 'app' ? 'app' : `app/_${type}`,
+      folder,
+      `${file}.${type === 'svg' ? 'svg' : 'html'}`
+    );
+    /** @type {!string} */
+    const filepathDefaults = filepathInclude.replace(/\.\w+$/, '.json');
+
+    if (fs.existsSync(filepathDefaults)) {
+      dependencies.add(filepathDefaults);
+    }
+
+    getDependencies(filepathInclude, { ...context, dependencies });
+  }
+
+  for (const [, name] of content.matchAll(/\bdata\.([\w-]+)/g)) {
+    if (name === 'news') {
+      dependencies.add(path.join(context.pathWorking, config.dirNews || 'content/news'));
+    } else if (name === 'pages') {
+      fastGlob.sync('*.html', { cwd: context.pathWorking })
+        .forEach((page) => dependencies.add(path.join(context.pathWorking, `${page}`)));
+    } else {
+      fastGlob.sync(`${name}.{json,yml,yaml}`, { cwd: dirData })
+        .forEach((dataFile) => dependencies.add(path.join(dirData, `${dataFile}`)));
+    }
+  }
+
+  return dependencies;
+};
+
+/**
+ * Checks the meta tags of a page for <meta name="robots" content="noindex">.
+ * @function isNoindex
+ * @private
+ * @param {!string} htmlCode - The html code of the page
+ * @return {boolean}
+ */
+function isNoindex(htmlCode) {
+  return (htmlCode.match(/<meta\b[^>]*>/gi) || []).some((metaTag) =>
+    /\bname\s*=\s*["']?robots["']?/i.test(metaTag)
+    && /\bcontent\s*=\s*["'][^"']*\bnoindex\b/i.test(metaTag));
+};
+
+
+/**
+ * Walks through the html files of the build directory and lists every
+ * indexable page in the sitemap.xml. The lastmod date is taken from the last
+ * commit of any file the page is rendered from (its root html file or news
+ * template, the included components, the data files and news posts it
+ * shows) and falls back to the modification time of the built file. The
+ * robots.txt points to the sitemap and disallows the excluded pages.
+ * @function generateSitemap
+ * @public
+ * @see https://www.sitemaps.org/protocol.html
+ */
+export function generateSitemap() {
+  /**
+   * Object containing the command line arguments passed when the Node.js
+   * process was launched.
+   * We are so careful that we set default values.
+   * @see https://github.com/substack/minimist#var-argv--parseargsargs-opts
+   * @type {!Object.<string, string>}
+   */
+  const parameter = minimist(process.argv.slice(2), {
+    default: {
+      dirBuild: 'build',
+      dirWorking: './',
+      mode: 'dev',
+    },
+  });
+
+  showScriptInfo(parameter.mode, 'sitemap-generate', () => {
+    return new Promise((resolve, reject) => {
+      try {
+        /** @type {!string} */
+        const pathBuild = config.dirBuild || parameter.dirBuild;
+        /** @type {!string} */
+        const pathWorking = config.dirWorking || parameter.dirWorking;
+        /** @type {!Array<string>} */
+        const exclude = (config.build.sitemap || {}).exclude || [];
+        /** @type {!string} */
+        const homepage = getHomepage(pathWorking);
+        /** @type {!string} */
+        const fileSitemap = path.join(pathBuild, 'sitemap.xml');
+        /** @type {!string} */
+        const fileRobots = path.join(pathBuild, 'robots.txt');
+        /** @type {!Array<string>} */
+        const urls = [];
+        /** @type {!string} */
+        const pathNews = path.join(pathWorking, config.dirNews || 'content/news');
+        /** @type {!string} */
+        const pathNewsTemplates = path.join(pathWorking, 'components', 'app', 'news');
+        /**
+         * The context of getDependencies, in prod mode without the
+         * components html-replace removes.
+         * @type {!Object}
+         */
+        const dependencyContext = {
+          pathWorking,
+          removedComponents: parameter.mode === 'prod' ?
+            config.build.html.devComponents || [] : [],
+        };
+
+        fastGlob.sync('**/*.html', { cwd: pathBuild, ignore: exclude })
+          .sort()
+          .forEach((file) => {
+            /** @type {!string} */
+            const filepath = path.join(pathBuild, `${file}`);
+
+            if (isNoindex(fs.readFileSync(filepath, { encoding: 'utf8' }))) {
+              return;
+            }
+
+            /** @type {!string} */
+            const fileSource = path.join(pathWorking, `${file}`);
+            /** @type {?Array<string>} */
+            const newsPost = `${file}`.match(/^news-(.+)\.html$/);
+            /** @type {!Set<string>} */
+            let dependencies;
+
+            // The root html files are rendered by html-replace, the news
+            // pages by news-compile.
+            if (fs.existsSync(fileSource)) {
+              dependencies = getDependencies(fileSource, dependencyContext);
+            } else if (/^news(-\d+)?\.html$/.test(`${file}`)) {
+              dependencies = getDependencies(
+                path.join(pathNewsTemplates, 'news-overview.html'),
+                dependencyContext
+              ).add(pathNews);
+            } else if (newsPost) {
+              dependencies = getDependencies(
+                path.join(pathNewsTemplates, 'news-detail.html'),
+                dependencyContext
+              ).add(path.join(pathNews, `${newsPost[1]}.md`));
+            } else {
+              dependencies = new Set();
+            }
+
+            /** @type {!string} */
+            const lastmod = (dependencies.size && getGitDate([...dependencies]))
+              || fs.statSync(filepath).mtime.toISOString();
+
+            urls.push([
+              `  <url>`,
+              // The start page is reachable without its filename.
+              `    <loc>${escapeHtml(homepage + `${file}`.replace(/(^|\/)index\.html$/, '$1'))}</loc>`,
+              `    <lastmod>${lastmod}</lastmod>`,
+              `  </url>`,
+            ].join('\n'));
+
+            showFileInfo(parameter.mode, filepath, 'proceed');
+          });
+
+        /** @type {!string} */
+        const sitemap = [
+          `<?xml version="1.0" encoding="UTF-8"?>`,
+          `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+          ...urls,
+          `</urlset>`,
+          ``,
+        ].join('\n');
+
+        /**
+         * The path of the website on its host, e.g. /gsv-website/.
+         * @type {!string}
+         */
+        const basePath = new URL(homepage).pathname;
+        /** @type {!string} */
+        const robots = [
+          `User-agent: *`,
+          ...exclude.map((pattern) => `Disallow: ${basePath}${pattern}`),
+          `Allow: ${basePath}`,
+          ``,
+          `Sitemap: ${homepage}sitemap.xml`,
+          ``,
+        ].join('\n');
+
+        if (!fs.existsSync(pathBuild)) {
+          fs.mkdirSync(pathBuild, { recursive: true });
+        }
+
+        fs.writeFileSync(fileSitemap, sitemap);
+        showFileInfo(parameter.mode, fileSitemap, 'write');
+
+        fs.writeFileSync(fileRobots, robots);
+        showFileInfo(parameter.mode, fileRobots, 'write');
+
+        resolve();
+      } catch (error) {
+        // On a unpredictable we reject with the error message.
+        reject(error);
+      }
+    });
+  });
+}
+
+generateSitemap(); // Always run generateSitemap on module execution.
@@ -3,30 +3,46 @@
  * @module utility
  * @exports getDirectories
  * @exports getDirectoriesRecursive
+ * @exports getHomepage
  * @exports getSshAuthorizationData
  * @exports isDirectory
  * @exports isDocker
+ * @exports escapeHtml
+ * @exports insertFeedLinks
  * @exports isWsl
+ * @exports loadData
+ * @exports loadNews
+ * @exports loadPages
+ * @exports loadTemplateData
+ * @exports removeComponents
  * @exports replacePlaceholder
  * @exports showError
  * @exports showWarning
  * @exports recolorScriptInfo
+ * @requires ajv
  * @requires chalk
  * @requires config
  * @requires config-client
+ * @requires fast-glob
  * @requires fs
+ * @requires marked
  * @requires os
  * @requires path
+ * @requires yaml
  * @author Martin Hubrich (frontend@webit.de)
  * @author Stephan Friedrich (frontend@webit.de)
  * @author Rodger Rüdiger (frontend@webit.de)
  */
 
 // External modules
+import Ajv from 'ajv'; // https://github.com/ajv-validator/ajv
 import chalk from 'chalk'; // https://github.com/chalk/chalk
+import fastGlob from 'fast-glob'; // https://github.com/mrmlnc/fast-glob
 import fs from 'fs'; // https://nodejs.org/api/fs.html
+import { marked } from 'marked'; // https://github.com/markedjs/marked
 import os from 'os'; // https://nodejs.org/api/os.html
 import path from 'path'; // https://nodejs.org/api/path.html
+import { LineCounter, parseDocument } from 'yaml'; // https://github.com/eemeli/yaml
 
 // Self-written modules
 import { config, configConsole } from './config.mjs';
@@ -69,6 +85,30 @@ export function getDirectoriesRecursive(source) {
   ];
 };
 
+/**
+ * Returns the public url of the website, taken from the homepage field of
+ * the package.json. It always ends with a slash, so relative paths of the
+ * build directory can be appended.
+ * @function getHomepage
+ * @public
+ * @param {string=} dirWorking - The directory of the package.json
+ * @return {string}
+ * @throws {Error} If the package.json has no homepage
+ */
+export function getHomepage(dirWorking = config.dirWorking || './') {
+  /** @type {!Object} */
+  const packageJson = JSON.parse(fs.readFileSync(
+    path.join(dirWorking, 'package.json'),
+    { encoding: 'utf8' }
+  ));
+
+  if (!packageJson.homepage) {
+    throw new Error(`Please add the homepage field to your package.json.`);
+  }
+
+  return packageJson.homepage.replace(/\/*$/, '/');
+};
+
 /**
  * Returns the local SSH key and if available the passphrase. It will search in
  * the home directory. If you are on Windows and if you use WSL terminal you
@@ -217,99 +257,851 @@ export function isWsl() {
 };
 
 /**
- * Replace recursive by a directory and file extension.
+ * Loads all JSON and YAML files of the data directory. Every file is exposed
+ * by its filename without extension, e.g. data/sponsors.json as
+ * data.sponsors. If a schema with the same name exists in the _schemas
+ * subdirectory (e.g. data/_schemas/sponsors.schema.json) the file gets
+ * validated against it.
+ * @function loadData
+ * @public
+ * @param {string=} dirData - The data directory
+ * @return {!Object}
+ * @throws {Error} With file and line of the first problem if a data file is
+ *     malformed or doesn't match its schema
+ */
+export function loadData(dirData = config.dirData || 'data') {
+  /** @type {!Object} */
+  const data = {};
+
+  if (!fs.existsSync(dirData)) {
+    return data;
+  }
+
+  /** @type {!Ajv} */
+  const ajv = new Ajv({ allErrors: true });
+
+  fastGlob.sync(['*.json', '*.yml', '*.yaml'], { cwd: dirData }).forEach((file) => {
+    /** @type {string} */
+    const filepath = path.join(dirData, `${file}`);
+    /** @type {string} */
+    const name = `${file}`.replace(/\.\w+$/, '');
+    /** @type {string} */
+    const filepathSchema = path.join(dirData, '_schemas', `${name}.schema.json`);
+    /** @type {string} */
+    const source = fs.readFileSync(filepath, { encoding: 'utf8' });
+    /** @type {!LineCounter} */
+    const lineCounter = new LineCounter();
+
+    // The YAML parser understands JSON as well and keeps the positions of
+    // every value, so we can point to the line of a schema violation.
+    const document = parseDocument(source, { lineCounter });
+
+    if (document.errors.length) {
+      /** @type {!Object} */
+      const linePos = document.errors[0].linePos[0];
+      /** @type {string} */
+      const message = document.errors[0].message.split(' at line ')[0];
+
+      throw new Error(`${filepath}:${linePos.line}:${linePos.col} ${message}`);
+    }
+
+    if (filepath.endsWith('.json')) {
+      try {
+        JSON.parse(source); // The YAML parser is less strict than JSON.
+      } catch (error) {
+        /** @type {?Array<string>} */
+        const position = error.message.match(/position (\d+)/);
+        /** @type {string} */
+        let pointer = filepath;
+
+        if (position) {
+          /** @type {!Object} */
+          const linePos = lineCounter.linePos(Number(position[1]));
+
+          pointer += `:${linePos.line}:${linePos.col}`;
+        }
+
+        throw new Error(`${pointer} ${error.message.split('\n')[0]}`);
+      }
+    }
+
+    data[name] = document.toJS();
+
+    if (!fs.existsSync(filepathSchema)) {
+      showWarning(`${filepath} has no schema at ${filepathSchema}.`);
+      return;
+    }
+
+    /** @type {!Function} */
+    const validate = ajv.compile(
+      JSON.parse(fs.readFileSync(filepathSchema, { encoding: 'utf8' }))
+    );
+
+    if (!validate(data[name])) {
+      /** @type {!Object} */
+      const error = validate.errors[0];
+      /** @type {!Array<string>} */
+      const instancePath = error.instancePath.split('/').slice(1);
+      /** @type {?Object} */
+      const node = instancePath.length
+        ? document.getIn(instancePath, true)
+        : document.contents;
+      /** @type {!Object} */
+      const linePos = lineCounter.linePos(node && node.range ? node.range[0] : 0);
+
+      throw new Error(`${filepath}:${linePos.line}:${linePos.col} ${error.instancePath || '/'} ${error.message}`);
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Loads all Markdown news posts of the news directory, newest first. Every
+ * post starts with a YAML front matter:
+ *
+ * ---
+ * title: Einladung zur Mitgliederversammlung (required)
+ * date: 2025-03-14 (required)
+ * department: football (optional, see config.build.news.departments)
+ * image: mitgliederversammlung.png (optional, inside the images directory)
+ * excerpt: Short text for the overview (optional, defaults to the first
+ *     paragraph)
+ * ---
+ *
+ * The filename without extension is used as slug, the detail page of a post
+ * is written to news-[slug].html.
+ * @function loadNews
+ * @public
+ * @param {string=} dirNews - The news directory
+ * @return {!Array<Object>}
+ * @throws {Error} With file and line if a front matter is malformed
+ */
+export function loadNews(dirNews = config.dirNews || 'content/news') {
+  if (!fs.existsSync(dirNews)) {
+    return [];
+  }
+
+  /** @type {!Object.<string, string>} */
+  const departments = (config.build.news || {}).departments || {};
+  /** @type {!Intl.DateTimeFormat} */
+  const dateFormat = new Intl.DateTimeFormat('de-DE', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+  return fastGlob.sync('*.md', { cwd: dirNews }).map((file) => {
+    /** @type {string} */
+    const filepath = path.join(dirNews, `${file}`);
+    /** @type {string} */
+    const source = fs.readFileSync(filepath, { encoding: 'utf8' });
+    /** @type {?Array<string>} */
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/);
+
+    if (!match) {
+      throw new Error(`${filepath}:1:1 Missing front matter.`);
+    }
+
+    /** @type {!LineCounter} */
+    const lineCounter = new LineCounter();
+    // The front matter starts in the second line, behind the opening ---.
+    const document = parseDocument(match[1], { lineCounter });
+
+    if (document.errors.length) {
+      /** @type {!Object} */
+      const linePos = document.errors[0].linePos[0];
+      /** @type {string} */
+      const message = document.errors[0].message.split(' at line ')[0];
+
+      throw new Error(`${filepath}:${linePos.line + 1}:${linePos.col} ${message}`);
+    }
+
+    /** @type {!Object} */
+    const frontMatter = document.toJS() || {};
+
+    // Points to the line of a front matter key or to the front matter itself.
+    const fail = (key, message) => {
+      /** @type {?Object} */
+      const node = document.get(key, true);
+      /** @type {!Object} */
+      const linePos = lineCounter.linePos(node && node.range ? node.range[0] : 0);
+
+      throw new Error(`${filepath}:${linePos.line + 1}:${linePos.col} ${message}`);
+    };
+
+    if (typeof frontMatter.title !== 'string' || !frontMatter.title.trim()) {
+      fail('title', 'The front matter needs a title.');
+    }
+
+    /** @type {string} */
+    const date = frontMatter.date instanceof Date
+      ? frontMatter.date.toISOString().slice(0, 10)
+      : `${frontMatter.date || ''}`;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      fail('date', 'The front matter needs a date formatted as YYYY-MM-DD.');
+    }
+
+    if (frontMatter.department && !(frontMatter.department in departments)) {
+      fail('department', `Unknown department "${frontMatter.department}", use one of: ${Object.keys(departments).join(', ')}.`);
+    }
+
+    if (frontMatter.image
+        && !fs.existsSync(path.join(dirNews, 'images', `${frontMatter.image}`))) {
+      fail('image', `Missing image ${path.join(dirNews, 'images', `${frontMatter.image}`)}.`);
+    }
+
+    /** @type {string} */
+    const slug = `${file}`.replace(/\.md$/, '');
+    /** @type {string} */
+    const html = marked.parse(match[2]);
+    /** @type {string} */
+    let excerpt = frontMatter.excerpt;
+
+    if (!excerpt) {
+      // Falls back to the text of the first paragraph.
+      excerpt = ((html.match(/<p>([\s\S]*?)<\/p>/) || [])[1] || '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+    }
+
+    return {
+      date,
+      dateFormatted: dateFormat.format(new Date(date)),
+      department: frontMatter.department || null,
+      departmentLabel: departments[frontMatter.department] || null,
+      excerpt,
+      html,
+      image: frontMatter.image
+        ? `assets/img/news/${path.basename(`${frontMatter.image}`)}`
+        : null,
+      slug,
+      source: filepath,
+      title: frontMatter.title,
+      url: `news-${slug}.html`,
+    };
+  }).sort((postA, postB) => {
+    // Newest first, posts of the same day ordered by their slug.
+    return postB.date.localeCompare(postA.date)
+      || postA.slug.localeCompare(postB.slug);
+  });
+};
+
+/**
+ * Loads the data every page and component can use as data.*: the validated
+ * content of the data directory, the news posts as data.news.posts, the
+ * latest of them as data.news.latest for the start page teaser, and the root
+ * html files grouped by category as data.pages.
+ * @function loadTemplateData
+ * @public
+ * @param {string=} dirWorking - The working directory
+ * @return {!Object}
+ * @throws {Error} With file and line if a data file or a front matter is
+ *     invalid
+ */
+export function loadTemplateData(dirWorking = config.dirWorking || './') {
+  /** @type {!Array<Object>} */
+  const posts = loadNews(path.join(dirWorking, config.dirNews || 'content/news'));
+
+  return {
+    ...loadData(path.join(dirWorking, config.dirData || 'data')),
+    news: {
+      latest: posts.slice(0, (config.build.news || {}).teaserCount || 3),
+      posts,
+    },
+    pages: loadPages(dirWorking),
+  };
+};
+
+/**
+ * Lists the html files of the working root directory grouped by their
+ * sitemap category, in the order of config.build.html.sitemapCategories.
+ * The category is read from the front matter (sitemap: Inspiration) or from
+ * <meta name="sitemap-category" content="Inspiration">, the link text from
+ * the title of the front matter or the <title> tag.
+ * @function loadPages
+ * @public
+ * @param {string=} dirWorking - The directory with the html files
+ * @return {!Array<{category: string, pages: !Array<Object>}>}
+ */
+export function loadPages(dirWorking = config.dirWorking || './') {
+  /** @type {!Array<string>} */
+  const categories = [...(config.build.html.sitemapCategories || [])];
+  /** @type {!Object.<string, !Array<Object>>} */
+  const pages = {};
+
+  fastGlob.sync('*.html', { cwd: dirWorking }).sort().forEach((file) => {
+    /** @type {string} */
+    const source = fs.readFileSync(path.join(dirWorking, `${file}`), {
+      encoding: 'utf8',
+    });
+    /** @type {?Array<string>} */
+    const frontMatterMatch = source.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    /** @type {!Object} */
+    let frontMatter = {};
+
+    if (frontMatterMatch) {
+      /** @type {!Document} */
+      const document = parseDocument(frontMatterMatch[1]);
+
+      // Jekyll reads the front matter as well, so a broken one is only
+      // reported but doesn't stop the build.
+      if (document.errors.length) {
+        showWarning(`${file} has an invalid front matter: ${document.errors[0].message}`);
+      } else {
+        frontMatter = document.toJS() || {};
+      }
+    }
+
+    /** @type {?Array<string>} */
+    const metaCategory = source.match(
+      /<meta\s+name=["']sitemap-category["']\s+content=["']([^"']+)["']/i
+    );
+    /** @type {?Array<string>} */
+    const titleTag = source.match(/<title>([^<]*)<\/title>/i);
+    /** @type {string} */
+    const category = `${frontMatter.sitemap
+      || (metaCategory && metaCategory[1])
+      || 'Unterseiten'}`;
+
+    if (!categories.includes(category)) {
+      categories.push(category);
+    }
+
+    (pages[category] = pages[category] || []).push({
+      title: `${frontMatter.title || (titleTag && titleTag[1].trim()) || file}`,
+      url: `${file}`,
+    });
+  });
+
+  return categories
+    .filter((category) => pages[category])
+    .map((category) => ({
+      category,
+      // The start page always comes first.
+      pages: pages[category].sort((pageA, pageB) =>
+        (pageB.url === 'index.html') - (pageA.url === 'index.html')),
+    }));
+};
+
+/**
+ * Removes the placeholders of the given components, e.g. every
+ * {app:{sandbox-sitemap}}, including the line they stand on.
+ * @function removeComponents
+ * @public
+ * @param {string} content - The text which includes {placeholders}
+ * @param {!Array<string>} components - The names of the components
+ * @return {string}
+ */
+export function removeComponents(content, components) {
+  return components.reduce((result, component) => result.replace(
+    new RegExp(`^[ \\t]*{app:{${component}(?:[|:][^\\n]*?)?}}[ \\t]*\\r?\\n?|{app:{${component}(?:[|:][^\\n]*?)?}}`, 'gm'),
+    ''
+  ), content);
+};
+
+/**
+ * Replace recursive by a directory and file extension. Includes can receive
+ * named parameters which get substituted inside the included file, e.g.
+ * {app:{teaser|title="Wir suchen DICH!" image="looking-trainer.jpg"}}. Quoted
+ * values are passed as strings, unquoted values (e.g. game=game) reference a
+ * value of the current scope. The included file uses them via {param:{title}}
+ * (escaped, required), {param:{title=Default}} (escaped, optional) or
+ * {param:{title|raw}} (unescaped). Dotted paths like {param:{game.date}} are
+ * supported as well.
+ *
+ * Blocks can be repeated or switched on values of the scope:
+ * {each:{games as game}} ... {/each} (with loop.index, loop.first and
+ * loop.last available inside the block) and
+ * {if:{game.home}} ... {elseif:{game.type == "cup"}} ... {else} ... {/if}.
+ *
+ * A component can ship default values for its parameters in a JSON file next
+ * to its html file, e.g. components/app/teaser/teaser.json. The files of the
+ * data directory are available everywhere as data.*, see loadData.
  * @function replacePlaceholder
  * @public
  * @author Stephan Friedrich (frontend@webit.de)
  * @author Martin Hubrich (frontend@webit.de)
  * @param {string} content - The text which includes {placeholders}
+ * @param {!Object=} scope - The values available to the content
+ * @param {!Array<string>=} includeChain - The files which lead to the
+ *     content, the last one being the file of the content itself
  * @return {string}
+ * @throws {Error} If the template is malformed, a required parameter is
+ *     missing or the includes are circular
  */
-export function replacePlaceholder(content) {
-  return content.replace(
-    new RegExp('{(app|deferred|svg):{([\\w|\\-]{0,})}}|{(app|deferred|svg):{(.+):{(.+)}}}',
-    'g'
-  ), (string) => {
+export function replacePlaceholder(content, scope = {}, includeChain = []) {
+  /** @type {string} */
+  const filepath = includeChain[includeChain.length - 1] || 'content';
 
-    try {
+  return renderTemplate(parseTemplate(content, filepath), scope, includeChain);
+};
 
-      /**
-       * The filepath parts
-       * @type {Array<string>}
-       */
-      let match = string.replace(new RegExp('(\{|\})*', 'g'), '').split(':');
+/**
+ * Escapes the html special characters of a string, so it can be safely used
+ * as text content or attribute value.
+ * @function escapeHtml
+ * @public
+ * @param {*} value - The value to escape
+ * @return {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
 
-      /** @type {string} */
-      let type = match[0];
+/**
+ * Adds the <link rel="alternate"> tags of the news feeds (see feed-generate)
+ * to the head of a page. Pages without a head are returned unchanged.
+ * @function insertFeedLinks
+ * @public
+ * @param {string} htmlCode - The html code of a page
+ * @return {string}
+ */
+export function insertFeedLinks(htmlCode) {
+  /** @type {string} */
+  const title = escapeHtml((config.build.feed || {}).title || 'News');
+  /** @type {string} */
+  const feedLinks = [
+    `<link rel="alternate" type="application/atom+xml" title="${title}" href="./feed.xml">`,
+    `<link rel="alternate" type="application/feed+json" title="${title}" href="./feed.json">`,
+  ].map((feedLink) => `  ${feedLink}\n`).join('');
+
+  return htmlCode.replace(/([ \t]*)<\/head>/i, `${feedLinks}$1</head>`);
+};
 
-      /** @type {boolean} */
-      const isSvg = type === 'svg' ? true : false;
+/**
+ * Evaluates a condition of an {if:{…}} block. Supported are a single value
+ * (game.home), its negation (!game.result) and a comparison with another
+ * value or a literal (game.type == "cup", game.goals != 0).
+ * @function evaluateCondition
+ * @private
+ * @param {string} condition - The condition to evaluate
+ * @param {!Object} scope - The values available to the condition
+ * @param {string} filepath - The current file, used for error messages
+ * @return {boolean}
+ * @throws {Error} If the condition can't be parsed
+ */
+function evaluateCondition(condition, scope, filepath) {
+  /** @type {?Array<string>} */
+  const match = condition.match(
+    /^(!)?\s*([\w\-.]+)(?:\s*(==|!=)\s*("[^"]*"|[\w\-.]+))?$/
+  );
+
+  if (!match) {
+    throw new Error(`Invalid condition "${condition}" in ${filepath}.`);
+  }
 
-      /** @type {string} */
-      const extension = isSvg ? '.svg' : '.html';
+  /** @type {*} */
+  const value = resolveValue(match[2], scope);
 
-      /** @type {string} */
-      const folder = match[1];
+  if (match[3]) {
+    /** @type {boolean} */
+    const isEqual = String(value) === String(resolveValue(match[4], scope));
 
-      /** @type {string} */
-      const file = match.length > 2 ? match[2] : folder;
-
-      /**
-       * Ending comment string for includs
-       * @type {string}
-       */
-      let end = '';
-
-      /**
-       * The whole filepath to the replacing file
-       * @type {string}
-       */
-      let filepath = '';
-
-      /**
-       * Starting comment string for includs
-       * @type {string}
-       */
-      let start = '';
-
-      // Add app folder to deferred component
-      type = type !== 'app' ? 'app/_' + type : type;
-
-      // Set path to folder
-      filepath = path.join('components', type, folder, file + extension);
-
-      // If the replacing file is a svg insert the filepath comment
-      if (isSvg) {
-        start = '<!-- START ' + filepath + ' -->\n';
-        end = '<!-- END ' + filepath + ' -->\n';
+    return match[3] === '==' ? isEqual : !isEqual;
+  }
+
+  /** @type {boolean} */
+  const isTruthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+  return match[1] ? !isTruthy : isTruthy;
+};
+
+/**
+ * Returns the line number of a position within a text.
+ * @function getLineNumber
+ * @private
+ * @param {string} content - The whole text
+ * @param {number} index - The position within the text
+ * @return {number}
+ */
+function getLineNumber(content, index) {
+  return content.slice(0, index).split('\n').length;
+};
+
+/**
+ * Parses the argument string of an include like
+ * |title="Wir suchen DICH!" game=game into an object. Unquoted values get
+ * resolved against the scope of the including file.
+ * @function parseIncludeParameters
+ * @private
+ * @param {string} argumentString - The arguments including the leading pipe
+ * @param {!Object} scope - The values available to the including file
+ * @return {!Object}
+ */
+function parseIncludeParameters(argumentString, scope) {
+  /** @type {!Object} */
+  const parameters = {};
+
+  for (const match of argumentString.matchAll(
+    /([\w\-]+)\s*=\s*(?:"([^"]*)"|([\w\-.]+))/g
+  )) {
+    parameters[match[1]] =
+      match[2] !== undefined ? match[2] : resolveValue(match[3], scope);
+  }
+
+  return parameters;
+};
+
+/**
+ * Splits a template into text and block nodes. Blocks are {each:{…}} … {/each}
+ * and {if:{…}} … {elseif:{…}} … {else} … {/if}, they can be nested.
+ * @function parseTemplate
+ * @private
+ * @param {string} content - The template
+ * @param {string} filepath - The file of the template, used for error messages
+ * @return {!Array<Object>}
+ * @throws {Error} If a block isn't opened or closed correctly
+ */
+function parseTemplate(content, filepath) {
+  /** @type {!Array<Object>} */
+  const nodes = [];
+  /**
+   * The currently opened blocks, the last one receives the next nodes.
+   * @type {!Array<Object>}
+   */
+  const stack = [{ tag: 'root', children: nodes }];
+  /** @type {number} */
+  let cursor = 0;
+
+  for (const match of content.matchAll(
+    /{(each|if|elseif):{([^}]*)}}|{(else|\/each|\/if)}/g
+  )) {
+    /** @type {!Object} */
+    const current = stack[stack.length - 1];
+    /** @type {string} */
+    const tag = match[1] || match[3];
+    /** @type {string} */
+    const position = `${filepath}:${getLineNumber(content, match.index)}`;
+
+    /** @type {number} */
+    const lineStart = content.lastIndexOf('\n', match.index - 1) + 1;
+    /** @type {!Array<string>} */
+    const lineEnd =
+      content.slice(match.index + match[0].length).match(/^[ \t]*(\r?\n|$)/);
+    /**
+     * Tags standing alone on their line don't leave an empty line behind.
+     * @type {boolean}
+     */
+    const isStandalone = lineStart >= cursor && lineEnd !== null
+      && /^[ \t]*$/.test(content.slice(lineStart, match.index));
+    /** @type {number} */
+    const textEnd = isStandalone ? lineStart : match.index;
+
+    if (textEnd > cursor) {
+      current.children.push({
+        type: 'text',
+        value: content.slice(cursor, textEnd),
+      });
+    }
+
+    cursor = match.index + match[0].length
+      + (isStandalone ? lineEnd[0].length : 0);
+
+    if (tag === 'each') {
+      /** @type {!Object} */
+      const node = { type: 'each', expression: match[2].trim(), children: [] };
+
+      current.children.push(node);
+      stack.push({ tag, node, position, children: node.children });
+    } else if (tag === 'if') {
+      /** @type {!Object} */
+      const node = {
+        type: 'if',
+        branches: [{ condition: match[2].trim(), children: [] }],
+      };
+
+      current.children.push(node);
+      stack.push({ tag, node, position, children: node.branches[0].children });
+    } else if (tag === 'elseif' || tag === 'else') {
+      if (current.tag !== 'if' || current.hasElse) {
+        throw new Error(`Unexpected {${tag}} at ${position}.`);
       }
 
-      if (fs.existsSync(filepath)) {
+      /** @type {!Object} */
+      const branch = {
+        condition: tag === 'else' ? null : match[2].trim(),
+        children: [],
+      };
+
+      current.node.branches.push(branch);
+      current.children = branch.children;
+      current.hasElse = tag === 'else';
+    } else {
+      if (current.tag !== tag.slice(1)) {
+        throw new Error(`Unexpected {${tag}} at ${position}.`);
+      }
+
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing {/${stack[stack.length - 1].tag}} for the block opened at ${stack[stack.length - 1].position}.`);
+  }
+
+  if (cursor < content.length) {
+    nodes.push({ type: 'text', value: content.slice(cursor) });
+  }
+
+  return nodes;
+};
+
+/**
+ * Renders the parsed template nodes with the given scope.
+ * @function renderTemplate
+ * @private
+ * @param {!Array<Object>} nodes - The nodes returned by parseTemplate
+ * @param {!Object} scope - The values available to the nodes
+ * @param {!Array<string>} includeChain - The files which lead to the nodes
+ * @return {string}
+ * @throws {Error} If a value can't be rendered
+ */
+function renderTemplate(nodes, scope, includeChain) {
+  /** @type {string} */
+  const filepath = includeChain[includeChain.length - 1] || 'content';
+
+  return nodes.map((node) => {
+    if (node.type === 'each') {
+      /** @type {?Array<string>} */
+      const match = node.expression.match(/^([\w\-.]+)(?:\s+as\s+([\w\-]+))?$/);
+
+      if (!match) {
+        throw new Error(`Invalid loop "${node.expression}" in ${filepath}.`);
+      }
 
-        /**
-         * Receive the replace file content. The option 'encoding' ensure that
-         * we receive the content as string.
-         * @type {!string}
-         */
-        let fileContent = fs.readFileSync(filepath, { encoding: 'utf8' });
+      /** @type {*} */
+      const items = resolveValue(match[1], scope);
 
-        // Add the start and end comment
-        fileContent = start + fileContent + end;
+      if (items === undefined || items === null) {
+        return '';
+      }
 
-        // Return file content
-        return replacePlaceholder(fileContent);
+      if (!Array.isArray(items)) {
+        throw new Error(`Can't loop over "${match[1]}" in ${filepath} 'cause it isn't an array.`);
       }
 
-      return string; // Return the replaced content
+      return items.map((item, index) => renderTemplate(node.children, {
+        ...scope,
+        [match[2] || 'item']: item,
+        loop: {
+          index,
+          first: index === 0,
+          last: index === items.length - 1,
+        },
+      }, includeChain)).join('');
+    }
+
+    if (node.type === 'if') {
+      /** @type {Object|undefined} */
+      const branch = node.branches.find((branch) => branch.condition === null
+        || evaluateCondition(branch.condition, scope, filepath));
+
+      return branch ? renderTemplate(branch.children, scope, includeChain) : '';
+    }
+
+    // Substitute the parameters before resolving the includes, so a component
+    // can pass its own parameters on to its children.
+    return replaceIncludes(
+      replaceParameters(node.value, scope, filepath),
+      scope,
+      includeChain
+    );
+  }).join('');
+};
+
+/**
+ * Replaces all includes like {app:{teaser}}, {app:{folder:{file}}} or
+ * {svg:{icon-sprite}} with the content of the corresponding file.
+ * @function replaceIncludes
+ * @private
+ * @param {string} content - The text which includes {placeholders}
+ * @param {!Object} scope - The values available to the content
+ * @param {!Array<string>} includeChain - The files which lead to the content
+ * @return {string}
+ * @throws {Error} If the includes are circular
+ */
+function replaceIncludes(content, scope, includeChain) {
+  return content.replace(
+    new RegExp('{(app|deferred|svg):{([\\w\\-]+)(?::{([\\w\\-]+)(\\|(?:[^"}]|"[^"]*")*)?}|(\\|(?:[^"}]|"[^"]*")*)?)}}',
+    'g'
+  ), (string, type, folder, file = folder, argumentsFile, argumentsFolder) => {
+
+    /** @type {boolean} */
+    const isSvg = type === 'svg' ? true : false;
+
+    /** @type {string} */
+    const extension = isSvg ? '.svg' : '.html';
+
+    /**
+     * The named parameters passed to the include.
+     * @type {!Object}
+     */
+    const parameters =
+      parseIncludeParameters(argumentsFile || argumentsFolder || '', scope);
+
+    /**
+     * The default parameters of the component.
+     * @type {!Object}
+     */
+    let defaults = {};
+
+    /**
+     * Ending comment string for includs
+     * @type {string}
+     */
+    let end = '';
+
+    /**
+     * The whole filepath to the replacing file
+     * @type {string}
+     */
+    let filepath = '';
+
+    /**
+     * Starting comment string for includs
+     * @type {string}
+     */
+    let start = '';
+
+    /**
+     * Receive the replace file content.
+     * @type {?string}
+     */
+    let fileContent = null;
+
+    // Add app folder to deferred component
+    type = type !== 'app' ? 'app/_' + type : type;
+
+    // Set path to folder
+    filepath = path.join('components', type, folder, file + extension);
+
+    // Stop on circular includes instead of recursing forever.
+    if (includeChain.includes(filepath)) {
+      throw new Error(`Circular include: ${[...includeChain, filepath].join(' → ')}`);
+    }
+
+    // If the replacing file is a svg insert the filepath comment
+    if (isSvg) {
+      start = '<!-- START ' + filepath + ' -->\n';
+      end = '<!-- END ' + filepath + ' -->\n';
+    }
+
+    try {
+
+      if (fs.existsSync(filepath)) {
+        // The option 'encoding' ensure that we receive the content as string.
+        fileContent = fs.readFileSync(filepath, { encoding: 'utf8' });
+      }
 
     } catch (error) {
       showError(error); // Catch a unpredictable error
     }
 
-    return string;
+    if (fileContent === null) {
+      return string; // Keep the placeholder if the file can't be read
+    }
+
+    /** @type {string} */
+    const filepathDefaults = filepath.replace(/\.\w+$/, '.json');
+
+    if (fs.existsSync(filepathDefaults)) {
+      try {
+        defaults =
+          JSON.parse(fs.readFileSync(filepathDefaults, { encoding: 'utf8' }));
+      } catch (error) {
+        throw new Error(`Can't parse ${filepathDefaults}: ${error.message}`);
+      }
+    }
+
+    // Add the start and end comment and return the rendered file content.
+    // The data of the data directory stays available to every component.
+    return start + replacePlaceholder(
+      fileContent,
+      { ...defaults, ...parameters, data: scope.data },
+      [...includeChain, filepath]
+    ) + end;
   });
 };
 
+/**
+ * Replaces all {param:{name}} placeholders with the values of the scope.
+ * @function replaceParameters
+ * @private
+ * @param {string} content - The text which includes {param:{…}} placeholders
+ * @param {!Object} scope - The values available to the content
+ * @param {string} filepath - The current file, used for error messages
+ * @return {string} The content, braces of the values are escaped as html
+ *     entities
+ * @throws {Error} If a parameter without default value is missing
+ */
+function replaceParameters(content, scope, filepath) {
+  return content.replace(
+    /{param:{([\w\-.]+)(?:=([^|}]*))?(\|raw)?}}/g,
+    (string, name, defaultValue, raw) => {
+      /** @type {*} */
+      let value = resolveValue(name, scope);
+
+      if (value === undefined || value === null) {
+        value = defaultValue;
+      }
+
+      if (value === undefined) {
+        throw new Error(`Missing required parameter "${name}" for ${filepath}.`);
+      }
+
+      // The includes are resolved after the parameters, so the braces of the
+      // value are escaped to keep data from including templates.
+      return (raw ? String(value) : escapeHtml(value))
+        .replace(/{/g, '&#123;')
+        .replace(/}/g, '&#125;');
+    }
+  );
+};
+
+/**
+ * Resolves a dotted path like game.opponent.name or a literal like "cup",
+ * 42, true or false against the scope.
+ * @function resolveValue
+ * @private
+ * @param {string} expression - The path or literal
+ * @param {!Object} scope - The values available to the expression
+ * @return {*}
+ */
+function resolveValue(expression, scope) {
+  if (/^".*"$/.test(expression)) {
+    return expression.slice(1, -1);
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(expression)) {
+    return Number(expression);
+  }
+
+  if (expression === 'true' || expression === 'false') {
+    return expression === 'true';
+  }
+
+  // Only own properties, so e.g. data.toString isn't a function of the
+  // prototype but missing.
+  return expression.split('.').reduce((value, key) =>
+    (value === undefined || value === null
+      || !Object.prototype.hasOwnProperty.call(value, key)) ?
+      undefined : value[key], scope);
+};
+
 /**
  * Displays an error – That's all! Really.
  * @function showError
@@ -385,7 +1177,7 @@ export function showFileInfo(mode, filepath, operation = '',
  *     running (dev|prod)
  * @param {string} functionName - The name of the running operation
  * @param {Function} functionInstance - The function which time needs to
- *     get tracked
+ *     get tracked. If its promise rejects the process exits with code 1.
  */
 export function showScriptInfo(mode, functionName, functionInstance) {
   /** @type {!string} */
@@ -443,6 +1235,10 @@ export function showScriptInfo(mode, functionName, functionInstance) {
     if (!configConsole[mode].quiet) {
       showError(`\n${messageAbortTask} "${functionName}" because of: ${error.message}`)
     }
+
+    // Fails the npm script, so a chain like build:prod stops here instead
+    // of shipping the output of an aborted task.
+    process.exitCode = 1;
   });
 };
 